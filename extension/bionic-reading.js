@@ -6,11 +6,27 @@
  * 
  * Features:
  * - Neurodivergent-optimized algorithm (43% fixation ratio)
+ * - Alternative fixation algorithms: syllable, frequency-aware, saccade
  * - Preserves code blocks (```...```) and inline code (`...`)
- * - Minimal UI: Toggle with Ctrl+Shift+B (or Cmd+Shift+B on Mac)
+ * - Structure rules: skip or re-tune headings, bold text, lists, tables, quotes, math and diagrams
+ * - Minimal UI: Toggle with Alt+Shift+B (Option+Shift+B on Mac), remappable shortcuts
  * - Safe handling of Unicode, URLs, and edge cases
- * - Custom font support
+ * - Token classifier: skips emails, paths, identifiers, hashes, acronyms; switchable rules and custom patterns
+ * - Custom font support, fixation style presets and dyslexia-friendly spacing
+ * - Configurable surfaces: AI responses, user messages, notes, knowledge base, prompt library, chat titles
+ * - Settings panel: Edit settings live via the Aa button or `/bionic settings`
+ * - Settings profiles: switch, share as JSON and import; stored settings are versioned and migrated
+ * - Chat commands: `/bionic on|off|ratio|font|mode|status|reset|diagnose|help`
+ * - Self-healing selectors: fallback chains per TypingMind element and a startup health check
+ * - Export: Save a response or the whole chat as bionic HTML, Markdown or EPUB
+ * - Per-response on/off toggle and a focus mode overlay with a line ruler
+ * - Reading progress per chat: reading times, progress rails and resume where you left off
+ * - Read aloud: speech synthesis with the spoken word highlighted across the bionic markup
+ * - Public API: `window.BionicReading` and `bionic:*` events for other extensions
+ * - Testable core: `require()` in Node exports the transform without a DOM
  * - Performance Optimized: Targeted observation, efficient batching, minimal regex
+ * - Long chats: block observers are released off screen and on unmount
+ * - Time-budgeted scheduling: on-screen text per frame, offscreen text in idle time
  * - Stability Protection: Skips active streaming nodes to prevent UI crashes
  * 
  * V3.2 CHANGES:
@@ -24,16 +40,37 @@
     'use strict';
 
     // =========================================================================
-    // ⚙️ USER SETTINGS
+    // ⚙️ USER SETTINGS (defaults - edit live from the settings panel)
     // =========================================================================
     const USER_SETTINGS = {
         FONT_FAMILY: '"Segoe UI Light", "Segoe UI", system-ui, -apple-system, sans-serif',
         BOLD_RATIO: 0.43,
+        FIXATION_MODE: 'ratio', // 'ratio', 'syllable', 'frequency' or 'saccade'
+        SACCADE_INTERVAL: 2, // Saccade mode: bold every Nth word
+        CJK_MODE: 'skip', // Chinese/Japanese words: 'skip' or 'first-char'
+        RENDER_MODE: 'spans', // 'spans' (<b> elements) or 'highlight' (CSS Custom Highlight API)
+        FIXATION_STYLE: 'bold', // 'bold', 'semibold', 'tint', 'dim' or 'underline'
+        LETTER_SPACING: 0, // Extra letter spacing in em (0 = TypingMind's spacing)
+        LINE_HEIGHT: 0, // Line height multiplier (0 = TypingMind's line height)
         ENABLED_BY_DEFAULT: true,
-        MAX_BATCH_SIZE: 50,
+        FRAME_BUDGET_MS: 6, // Milliseconds of formatting per animation frame (the rest waits for the next frame or idle time)
         
         // STABILITY SETTINGS
         STREAMING_DEBOUNCE_MS: 1000, // Wait 1s after last change to process active nodes
+        LIVE_STREAMING: true, // Format completed words while a response streams (needs CSS highlights)
+        
+        // ACCESSIBILITY SETTINGS
+        SCREEN_READER_TEXT: true, // Hidden plain-text twin so screen readers read whole words
+        SPEECH_RATE: 1, // Read-aloud speed (1 = the voice's normal speed)
+        
+        // UI SETTINGS
+        SHOW_SETTINGS_BUTTON: true, // Floating button that opens the settings panel
+        FOCUS_FONT_SIZE: 20, // Focus mode text size in px
+        FOCUS_COLUMN_WIDTH: 70, // Focus mode column width in characters
+        
+        // READING PROGRESS
+        READING_PROGRESS: true, // Track read responses per chat, show reading time and offer to resume
+        READING_SPEED_WPM: 230, // Words per minute used for the reading time estimate
         
         // DEBUG SETTINGS
         DEBUG_MODE: false, // Set to true to enable console logs
@@ -44,576 +81,5895 @@
     // =========================================================================
 
     const CONFIG = {
-        STORAGE_KEY: 'typingmind_bionic_reading_enabled',
-        BOLD_RATIO: USER_SETTINGS.BOLD_RATIO,
-        FONT_FAMILY: USER_SETTINGS.FONT_FAMILY,
-        ENABLED_BY_DEFAULT: USER_SETTINGS.ENABLED_BY_DEFAULT,
-        MAX_BATCH_SIZE: USER_SETTINGS.MAX_BATCH_SIZE,
-        STREAMING_DEBOUNCE_MS: USER_SETTINGS.STREAMING_DEBOUNCE_MS,
+        LEGACY_ENABLED_KEY: 'typingmind_bionic_reading_enabled', // Settings version 1 on/off state, migrated into SETTINGS_KEY
+        SETTINGS_KEY: 'typingmind_bionic_reading_settings',
+        SETTINGS_VERSION: 2, // Bump with a SETTINGS_MIGRATIONS step when stored settings or profile files change shape
+        PROFILE_FORMAT: 'typingmind-bionic-reading-profile', // `format` field of exported profile files
+        DEFAULT_PROFILE: 'Default',
+        PROFILE_NAME_MAX_LENGTH: 40,
+        RULES_KEY: 'typingmind_bionic_reading_rules',
+        TARGETS_KEY: 'typingmind_bionic_reading_targets',
+        SHORTCUTS_KEY: 'typingmind_bionic_reading_shortcuts',
+        SKIP_RULES_KEY: 'typingmind_bionic_reading_skip_rules',
+        STRUCTURE_KEY: 'typingmind_bionic_reading_structure',
+        PROGRESS_KEY: 'typingmind_bionic_reading_progress',
+        PROGRESS_MAX_CHATS: 200, // Chats kept in the progress store; the least recently read are dropped
+        PROGRESS_KEY_CHARS: 200, // Leading characters of a response hashed into its progress key
+        PROGRESS_READ_AT: 0.95, // Share of a response scrolled past for it to count as read
+        PROGRESS_SAVE_MS: 1000, // Longest wait before reading progress is written to storage
+        RESUME_DELAY_MS: 1500, // Time a reopened chat gets to render before the resume prompt
+        RESUME_PROMPT_MS: 10000, // How long the resume prompt stays up
+        LANGUAGE_SAMPLE_SIZE: 2000, // Characters of a response block used to detect its script
+        LANGUAGE_MIN_LETTERS: 100, // Re-detect until a streaming block has this many letters
+        HIGHLIGHT_NAME: 'bionic', // Name registered in CSS.highlights, styled with ::highlight(bionic)
+        SPEECH_HIGHLIGHT_NAME: 'bionic-speech', // Word being read aloud, styled with ::highlight(bionic-speech)
+        SPEECH_RATE_STEP: 0.25, // Read-aloud speed change per press of the player's − / + buttons
+        IDLE_TIMEOUT_MS: 2000, // Longest wait for idle time before offscreen nodes are processed anyway
+        FOCUS_LINE_HEIGHT: 1.7, // Line height in focus mode; the ruler is one line tall
+        
+        HEALTH_CHECK_DELAY_MS: 3000, // Time TypingMind gets to render before the selector health check
         
+        // RESPONSE_BLOCK, USER_MESSAGE, USER_NOTE, MESSAGE_INPUT, CHAT_INPUT and CURSOR
+        // are resolved from SELECTOR_CHAINS (see resolveSelectors)
         SELECTORS: {
-            RESPONSE_BLOCK: '[data-element-id="response-block"]',
+            DARK_THEME: 'html.dark', // TypingMind toggles this class for its dark theme
             CODE_BLOCK: 'pre',
             INLINE_CODE: 'code',
-            CURSOR: '.cursor', // Common cursor class in streaming text
+            MODEL_NAME: '[data-element-id="current-model-name"], [data-element-id="selected-model-name"]',
+            AGENT_NAME: '[data-element-id="current-character-name"], [data-element-id="selected-character-name"]',
+            // TypingMind's controls inside messages (copy, edit, regenerate, icons), left out of exports
+            EXPORT_CHROME: 'button, svg, input, select, textarea, [role="button"], [role="menu"]',
         },
         
         IGNORE_TAGS: new Set(['PRE', 'CODE', 'SCRIPT', 'STYLE', 'TEXTAREA', 'INPUT', 'SVG', 'PATH', 'BUTTON', 'NOSCRIPT']),
+        
+        // Shortcuts already taken by TypingMind or the browser; reusing one is reported as a conflict
+        RESERVED_SHORTCUTS: {
+            'Mod+K': 'TypingMind: search chats',
+            'Mod+Shift+O': 'TypingMind: new chat',
+            'Mod+Shift+S': 'TypingMind: toggle sidebar',
+            'Mod+Shift+C': 'TypingMind: copy last response',
+            'Mod+Shift+Backspace': 'TypingMind: delete chat',
+            'Mod+Slash': 'TypingMind: keyboard shortcuts',
+            'Shift+Escape': 'TypingMind: focus chat input',
+            'Mod+Shift+B': 'Browser: bookmarks bar',
+            'Mod+T': 'Browser: new tab',
+            'Mod+W': 'Browser: close tab',
+        },
+        // Punctuation keys by their KeyboardEvent.code, the names shortcuts are stored and matched with
+        SHORTCUT_KEY_CODES: {
+            '/': 'Slash', '.': 'Period', ',': 'Comma', ';': 'Semicolon', "'": 'Quote', '`': 'Backquote',
+            '[': 'BracketLeft', ']': 'BracketRight', '\\': 'Backslash', '-': 'Minus', '=': 'Equal',
+        },
+        RATIO_STEP: 0.05, // Bold ratio change per shortcut press
+        
+        // Inline elements a word can continue through (<em>extra</em>ordinary)
+        INLINE_TAGS: new Set(['A', 'ABBR', 'B', 'BDI', 'BDO', 'CITE', 'DEL', 'DFN', 'EM', 'I', 'INS', 'MARK', 'Q', 'S', 'SMALL', 'SPAN', 'STRONG', 'SUB', 'SUP', 'TIME', 'U']),
     };
 
-    // Logger
-    const logger = {
-        log: (msg, ...args) => USER_SETTINGS.DEBUG_MODE && console.log(`[Bionic] ${msg}`, ...args),
-        warn: (msg, ...args) => USER_SETTINGS.DEBUG_MODE && console.warn(`[Bionic] ${msg}`, ...args),
-        error: (msg, ...args) => console.error(`[Bionic] ${msg}`, ...args),
+    // Ordered fallback selectors for the TypingMind elements everything depends on.
+    // The first candidate found in the page becomes the role's entry in CONFIG.SELECTORS;
+    // until one is found the whole chain is matched. `expect` marks roles the health
+    // check reports as missing: 'always' on any page, 'chat' once a chat is open.
+    const SELECTOR_CHAINS = {
+        RESPONSE_BLOCK: {
+            label: 'Response blocks', expect: 'chat',
+            candidates: ['[data-element-id="response-block"]', '[data-element-id="ai-response"]', '[data-message-role="assistant"]'],
+        },
+        USER_MESSAGE: {
+            label: 'User messages',
+            candidates: ['[data-element-id="user-message"]', '[data-message-role="user"]'],
+        },
+        USER_NOTE: {
+            label: 'Notes',
+            candidates: ['[data-element-id="user-note"]', '[data-element-id="message-note"]'],
+        },
+        MESSAGE_INPUT: {
+            label: 'Message editor',
+            candidates: ['[data-element-id="message-input"]', '[data-element-id="edit-message-input"]'],
+        },
+        CHAT_INPUT: {
+            label: 'Chat input', expect: 'always',
+            candidates: ['#chat-input-textbox', '[data-element-id="chat-input-textbox"]', 'textarea[data-element-id="chat-input"]'],
+        },
+        CURSOR: {
+            label: 'Streaming cursor', // Only present while a response streams
+            candidates: ['.cursor', '[data-element-id="streaming-cursor"]', '.typing-cursor'],
+        },
     };
+    for (const [role, chain] of Object.entries(SELECTOR_CHAINS)) {
+        CONFIG.SELECTORS[role] = chain.candidates.join(', ');
+    }
 
-    // State management
-    const storedState = localStorage.getItem(CONFIG.STORAGE_KEY);
-    let isEnabled = storedState === null ? CONFIG.ENABLED_BY_DEFAULT : storedState === 'true';
-    
-    // Track processed nodes
-    const processedNodes = new WeakSet();
-    
-    // Processing Queue
-    let pendingNodes = [];
-    let rafScheduled = false;
-    let observer = null;
-    let intersectionObserver = null;
-    let styleElement = null;
-    let responseBlockCache = new Set();
-    
-    // Stability Checker State
-    const activeStreamingNodes = new Set(); // Nodes currently receiving updates
-    const nodeLastUpdateMap = new WeakMap(); // Last update timestamp for nodes
-    let stabilityCheckInterval = null;
+    // Surfaces that can be formatted. `enabled` and `ratio` (null = global bold ratio)
+    // are defaults, overridable per surface from the settings panel. Surfaces with a
+    // `role` use that role's resolved selector.
+    const TARGETS = [
+        { id: 'responses', label: 'AI responses', role: 'RESPONSE_BLOCK', enabled: true, ratio: null },
+        { id: 'user-messages', label: 'User messages', role: 'USER_MESSAGE', enabled: false, ratio: null },
+        { id: 'notes', label: 'Notes', role: 'USER_NOTE', enabled: false, ratio: null },
+        { id: 'knowledge-base', label: 'Knowledge base viewer', selector: '[data-element-id="knowledge-base-document-viewer"]', enabled: false, ratio: null },
+        { id: 'prompt-library', label: 'Prompt library previews', selector: '[data-element-id="prompt-library-preview"]', enabled: false, ratio: null },
+        { id: 'chat-titles', label: 'Chat titles (sidebar)', selector: '[data-element-id="chat-title"]', enabled: false, ratio: null },
+    ];
 
-    // Regex Patterns
-    const REGEX = {
-        WHITESPACE: /^\s*$/,
-        SINGLE_CHAR: /^.$/,
-        NUMERIC: /^\d+([.,]\d+)*%?$/,
-        URL: /^(https?:\/\/|www\.|mailto:|tel:|ftp:)/i,
-        VERSION: /^v?\d+\.\d+/i,
-        UUID: /^[0-9a-f]{8}-/i,
-        DATE: /^\d{1,4}[-/]\d{1,2}/,
-        TIME: /^\d{1,2}:\d{2}/,
-        WORD_PARTS: /^([^\p{L}\p{N}]*)([\p{L}\p{N}]+(?:[-''][\p{L}\p{N}]+)*)([^\p{L}\p{N}]*)$/u,
+    // Formatting by page structure. `action` is 'format' or 'skip'; for formatted text
+    // `ratio` and `mode` (null = the surface's ratio / the global algorithm) override
+    // the fixation. Overridable per rule from the settings panel. A skip rule on any
+    // ancestor wins, otherwise the nearest rule applies. `inline` elements sit inside a
+    // line: skipping them leaves their characters unmarked but keeps them in the words
+    // around them, so <b>extra</b>ordinary is still one word.
+    const STRUCTURE_RULES = [
+        { id: 'headings', label: 'Headings', selector: 'h1, h2, h3, h4, h5, h6', action: 'skip', ratio: null, mode: null },
+        { id: 'strong', label: 'Bold text', selector: 'strong, b', action: 'skip', ratio: null, mode: null, inline: true },
+        { id: 'lists', label: 'List items', selector: 'li', action: 'format', ratio: null, mode: null },
+        { id: 'table-headers', label: 'Table headers', selector: 'th', action: 'skip', ratio: null, mode: null },
+        { id: 'table-cells', label: 'Table cells', selector: 'td', action: 'format', ratio: null, mode: null },
+        { id: 'quotes', label: 'Quotes', selector: 'blockquote', action: 'format', ratio: null, mode: null },
+        { id: 'math', label: 'Math (KaTeX, MathJax)', selector: '.katex, mjx-container, math', action: 'skip', ratio: null, mode: null },
+        { id: 'diagrams', label: 'Diagrams (Mermaid)', selector: '.mermaid', action: 'skip', ratio: null, mode: null },
+    ];
+
+    // Fixation looks. Colors have a light and a dark theme value; `rest` colors the
+    // non-fixation part of each word (spans only, highlights can't reach it).
+    const STYLE_PRESETS = {
+        bold: { label: 'Bold' },
+        semibold: { label: 'Semibold', weight: 600 },
+        tint: { label: 'Color tint', weight: 600, color: { light: '#1d4ed8', dark: '#93c5fd' } },
+        dim: {
+            label: 'Dimmed remainder', weight: 600,
+            color: { light: '#111827', dark: '#f9fafb' },
+            rest: { light: '#6b7280', dark: '#9ca3af' },
+        },
+        underline: { label: 'Underline', weight: 'inherit', decoration: 'underline 2px', color: { light: '#2563eb', dark: '#60a5fa' } },
     };
 
-    // =========================================================================
-    // 2. CORE ALGORITHM
-    // =========================================================================
+    // Keyboard shortcut actions. `keys` and `allowInInput` are defaults, remappable
+    // from the settings panel ('Mod' is Ctrl, or Cmd on Mac).
+    const SHORTCUT_ACTIONS = {
+        toggle: { label: 'Toggle on/off', keys: 'Alt+Shift+B', allowInInput: true, run: () => toggleExtension() },
+        'ratio-up': { label: 'Raise bold ratio', keys: 'Alt+Shift+ArrowUp', allowInInput: false, run: () => stepRatio(CONFIG.RATIO_STEP) },
+        'ratio-down': { label: 'Lower bold ratio', keys: 'Alt+Shift+ArrowDown', allowInInput: false, run: () => stepRatio(-CONFIG.RATIO_STEP) },
+        'next-mode': { label: 'Next fixation algorithm', keys: 'Alt+Shift+M', allowInInput: false, run: () => cycleFixationMode() },
+        'toggle-font': { label: 'Toggle custom font', keys: 'Alt+Shift+F', allowInInput: false, run: () => toggleFont() },
+    };
 
-    function getBoldLength(wordLength) {
-        if (wordLength <= 3) return 1;
-        return Math.round(wordLength * CONFIG.BOLD_RATIO);
-    }
+    // Export formats for `/bionic export <format>` and the per-response export menu
+    const EXPORT_FORMATS = {
+        html: { label: 'HTML', extension: 'html', mime: 'text/html' },
+        markdown: { label: 'Markdown', extension: 'md', mime: 'text/markdown' },
+        epub: { label: 'EPUB', extension: 'epub', mime: 'application/epub+zip' },
+    };
+    const EXPORT_FORMAT_ALIASES = { md: 'markdown', htm: 'html' };
 
-    function shouldSkipWord(word) {
-        if (word.length < 2) return true;
-        if (REGEX.WHITESPACE.test(word)) return true;
-        if (REGEX.NUMERIC.test(word)) return true;
-        
-        if (word.length > 4) {
-            if (REGEX.URL.test(word)) return true;
-            if (REGEX.VERSION.test(word)) return true;
-            if (REGEX.UUID.test(word)) return true;
+    // Selectable fixation algorithms (implementations live in the core algorithm section)
+    const FIXATION_STRATEGIES = {
+        ratio: { label: 'Fixed ratio', getBoldLength: ratioFixation },
+        syllable: { label: 'First syllable', getBoldLength: syllableFixation },
+        frequency: { label: 'Lighter on common words', getBoldLength: frequencyFixation },
+        saccade: { label: 'Saccade (every Nth word)', getBoldLength: saccadeFixation },
+    };
+
+    // A CSS font-family list: quoted names or unquoted identifiers, separated by commas.
+    // It is written into stylesheets and exported HTML, so nothing else gets through:
+    // no comments, braces, semicolons, escapes or unbalanced quotes.
+    const FONT_FAMILY_NAME = String.raw`(?:"[^"\\\r\n<>]*"|'[^'\\\r\n<>]*'|-?[\p{L}_][\p{L}\p{N}_-]*(?: +-?[\p{L}_][\p{L}\p{N}_-]*)*)`;
+    const FONT_FAMILY_PATTERN = new RegExp(String.raw`^${FONT_FAMILY_NAME}(?: *, *${FONT_FAMILY_NAME})*$`, 'u');
+
+    // Editable settings. Drives validation of stored values and the settings panel fields.
+    // `reprocess` marks settings that change the output and need a revert + reprocess,
+    // `restyle` those that only regenerate the stylesheet, `focus` those that lay out
+    // the focus mode overlay, `progress` those that change the reading progress indicators.
+    const SETTINGS_SCHEMA = {
+        BOLD_RATIO: { label: 'Bold ratio', type: 'number', min: 0.1, max: 0.9, step: 0.01, reprocess: true },
+        FIXATION_MODE: {
+            label: 'Fixation algorithm', type: 'enum', reprocess: true,
+            options: Object.keys(FIXATION_STRATEGIES),
+            labels: Object.fromEntries(Object.entries(FIXATION_STRATEGIES).map(([name, s]) => [name, s.label])),
+        },
+        SACCADE_INTERVAL: { label: 'Saccade interval (words)', type: 'number', min: 2, max: 6, step: 1, integer: true, reprocess: true },
+        CJK_MODE: {
+            label: 'Chinese & Japanese', type: 'enum', reprocess: true,
+            options: ['skip', 'first-char'],
+            labels: { 'skip': 'Leave unformatted', 'first-char': 'Bold first character' },
+        },
+        FONT_FAMILY: { label: 'Font family', type: 'string', nullable: true, reprocess: true, pattern: FONT_FAMILY_PATTERN },
+        RENDER_MODE: {
+            label: 'Rendering', type: 'enum', reprocess: true,
+            options: ['spans', 'highlight'],
+            labels: { 'spans': 'Bold elements', 'highlight': 'CSS highlights (live, no DOM changes)' },
+        },
+        FIXATION_STYLE: {
+            label: 'Fixation style', type: 'enum', restyle: true,
+            options: Object.keys(STYLE_PRESETS),
+            labels: Object.fromEntries(Object.entries(STYLE_PRESETS).map(([id, preset]) => [id, preset.label])),
+        },
+        LETTER_SPACING: { label: 'Letter spacing (em)', type: 'number', min: 0, max: 0.3, step: 0.01, restyle: true },
+        LINE_HEIGHT: { label: 'Line height (0 = default)', type: 'number', min: 0, max: 3, step: 0.1, restyle: true },
+        LIVE_STREAMING: { label: 'Format while streaming', type: 'boolean', reprocess: true },
+        SCREEN_READER_TEXT: { label: 'Whole words for screen readers', type: 'boolean', reprocess: true },
+        SPEECH_RATE: { label: 'Read-aloud speed', type: 'number', min: 0.5, max: 2, step: 0.25 },
+        STREAMING_DEBOUNCE_MS: { label: 'Streaming debounce (ms)', type: 'number', min: 0, max: 5000, step: 50, integer: true },
+        FRAME_BUDGET_MS: { label: 'Frame budget (ms)', type: 'number', min: 1, max: 16, step: 1, integer: true },
+        SHOW_SETTINGS_BUTTON: { label: 'Show settings button', type: 'boolean' },
+        FOCUS_FONT_SIZE: { label: 'Focus mode text size (px)', type: 'number', min: 14, max: 36, step: 1, integer: true, focus: true },
+        FOCUS_COLUMN_WIDTH: { label: 'Focus mode column width (ch)', type: 'number', min: 40, max: 120, step: 5, integer: true, focus: true },
+        READING_PROGRESS: { label: 'Track reading progress', type: 'boolean', progress: true },
+        READING_SPEED_WPM: { label: 'Reading speed (words/min)', type: 'number', min: 80, max: 600, step: 10, integer: true, progress: true },
+        DEBUG_MODE: { label: 'Debug logging', type: 'boolean' },
+    };
+
+    // Upgrades of the stored settings, keyed by the version they upgrade from. Each
+    // step takes a store of that version and returns one of the next version.
+    // Profile files go through the same steps (see parseProfile).
+    const SETTINGS_MIGRATIONS = {
+        // 1 -> 2: the flat settings object and the 'true'/'false' on/off key become
+        // a single store with named profiles. Keys of the version 1 USER_SETTINGS that
+        // aren't profile settings are dropped: ENABLED_BY_DEFAULT is a startup default,
+        // and MAX_BATCH_SIZE counted nodes, which FRAME_BUDGET_MS (milliseconds) replaced.
+        1: ({ settings: flat, enabled }) => {
+            let profile = flat;
+            if (flat && typeof flat === 'object' && !Array.isArray(flat)) {
+                const { ENABLED_BY_DEFAULT, MAX_BATCH_SIZE, ...rest } = flat;
+                profile = rest;
+            }
+            return {
+                version: 2,
+                enabled: enabled === 'true' || enabled === 'false' ? enabled === 'true' : null,
+                activeProfile: CONFIG.DEFAULT_PROFILE,
+                profiles: { [CONFIG.DEFAULT_PROFILE]: profile },
+            };
+        },
+    };
+
+    // Logger
+    const logger = {
+        log: (msg, ...args) => settings.DEBUG_MODE && console.log(`[Bionic] ${msg}`, ...args),
+        warn: (msg, ...args) => settings.DEBUG_MODE && console.warn(`[Bionic] ${msg}`, ...args),
+        error: (msg, ...args) => console.error(`[Bionic] ${msg}`, ...args),
+    };
+
+    /**
+     * Coerces a raw value to the type and bounds declared in SETTINGS_SCHEMA.
+     * Returns undefined when the key is unknown or the value is unusable.
+     */
+    function sanitizeSetting(key, value) {
+        const schema = SETTINGS_SCHEMA[key];
+        if (!schema) return undefined;
+
+        switch (schema.type) {
+            case 'number': {
+                if (value === null || value === '') return undefined;
+                const num = Number(value);
+                if (!Number.isFinite(num)) return undefined;
+                const clamped = Math.min(schema.max, Math.max(schema.min, num));
+                return schema.integer ? Math.round(clamped) : clamped;
+            }
+            case 'string': {
+                const str = value === null || value === undefined ? '' : String(value).trim();
+                if (!str) return schema.nullable ? null : undefined;
+                if (schema.pattern && !schema.pattern.test(str)) return undefined;
+                return str;
+            }
+            case 'enum':
+                return schema.options.includes(value) ? value : undefined;
+            case 'boolean':
+                if (typeof value === 'boolean') return value;
+                if (value === 'true' || value === 'false') return value === 'true';
+                return undefined;
+            default:
+                return undefined;
         }
-        
-        if (word.includes(':') && REGEX.TIME.test(word)) return true;
-        if (word.includes('-') || word.includes('/')) {
-            if (REGEX.DATE.test(word)) return true;
+    }
+
+    /**
+     * Settings of one profile: the defaults with every valid stored value applied
+     */
+    function sanitizeProfileSettings(stored) {
+        const loaded = {};
+        for (const key of Object.keys(SETTINGS_SCHEMA)) {
+            const value = stored && typeof stored === 'object' && key in stored ? sanitizeSetting(key, stored[key]) : undefined;
+            loaded[key] = value === undefined ? USER_SETTINGS[key] : value;
         }
-        
-        if (word.includes('.') && word.length < 20) {
-            const parts = word.split('.');
-            if (parts.length === 2 && parts[1].length <= 5 && /^[a-z0-9]+$/i.test(parts[1])) {
-                return true;
-            }
+        return loaded;
+    }
+
+    /**
+     * Runs the SETTINGS_MIGRATIONS steps from the store's version up to SETTINGS_VERSION.
+     * Stores from a newer release are returned as they are.
+     */
+    function migrateSettingsStore(store) {
+        let current = store;
+        while (current.version < CONFIG.SETTINGS_VERSION) {
+            const step = SETTINGS_MIGRATIONS[current.version];
+            if (!step) throw new Error(`No migration from settings version ${current.version}`);
+            current = step(current);
         }
-        
-        return false;
+        return current;
     }
 
-    function processWord(word) {
-        if (!word || shouldSkipWord(word)) return word;
+    /**
+     * Normalizes a migrated store: at least one profile, every profile sanitized,
+     * an existing active profile and `enabled` as true, false or null (not set)
+     */
+    function sanitizeSettingsStore(store) {
+        // Profile names are user input: "__proto__" or "constructor" must be plain keys
+        const profiles = Object.create(null);
+        const stored = store && store.profiles && typeof store.profiles === 'object' ? store.profiles : {};
+        for (const [name, values] of Object.entries(stored)) {
+            const profileName = sanitizeProfileName(name);
+            if (profileName) profiles[profileName] = sanitizeProfileSettings(values);
+        }
+        if (Object.keys(profiles).length === 0) profiles[CONFIG.DEFAULT_PROFILE] = sanitizeProfileSettings(null);
 
-        const match = word.match(REGEX.WORD_PARTS);
-        if (!match) return word;
+        return {
+            version: CONFIG.SETTINGS_VERSION,
+            enabled: typeof store?.enabled === 'boolean' ? store.enabled : null,
+            activeProfile: profiles[store?.activeProfile] ? store.activeProfile : Object.keys(profiles)[0],
+            profiles,
+        };
+    }
 
-        const [_, prefix, core, suffix] = match;
-        if (!core || core.length < 2) return word;
-        
-        if (core.includes('-')) {
-            const parts = core.split('-');
-            const processed = [];
-            for (let i = 0; i < parts.length; i++) {
-                const part = parts[i];
-                if (/^\d+$/.test(part)) {
-                    processed.push(part);
-                } else if (part.length > 1) {
-                    const len = getBoldLength(part.length);
-                    processed.push(`<b>${part.slice(0, len)}</b>${part.slice(len)}`);
-                } else {
-                    processed.push(part);
-                }
+    /**
+     * Reads the settings store, migrating older formats. A store without a version
+     * is version 1: the flat settings object plus the separate on/off key, which
+     * is removed once migrated.
+     */
+    function loadSettingsStore() {
+        let store = null;
+        try {
+            const raw = JSON.parse(localStorage.getItem(CONFIG.SETTINGS_KEY) || 'null');
+            store = raw && typeof raw === 'object' && Number.isInteger(raw.version)
+                ? raw
+                : { version: 1, settings: raw && typeof raw === 'object' ? raw : {}, enabled: localStorage.getItem(CONFIG.LEGACY_ENABLED_KEY) };
+            const fromVersion = store.version;
+            store = sanitizeSettingsStore(migrateSettingsStore(store));
+            if (fromVersion < CONFIG.SETTINGS_VERSION) {
+                saveSettingsStore(store);
+                localStorage.removeItem(CONFIG.LEGACY_ENABLED_KEY);
             }
-            return prefix + processed.join('-') + suffix;
+        } catch (e) {
+            logger.error('Failed to load settings, using defaults:', e);
+            store = sanitizeSettingsStore(null);
         }
-
-        const boldLen = getBoldLength(core.length);
-        return `${prefix}<b>${core.slice(0, boldLen)}</b>${core.slice(boldLen)}${suffix}`;
+        return store;
     }
 
-    function transformText(text) {
-        if (!text || text.length < 3) return text;
-        if (!/[\p{L}\p{N}]/u.test(text)) return text;
-        
-        const words = text.split(/(\s+)/);
-        let result = '';
-        
-        for (let i = 0; i < words.length; i++) {
-            const word = words[i];
-            result += /\s/.test(word) ? word : processWord(word);
+    function saveSettingsStore(store = settingsStore) {
+        try {
+            localStorage.setItem(CONFIG.SETTINGS_KEY, JSON.stringify(store));
+        } catch (e) {
+            logger.error('Failed to save settings:', e);
         }
-        
-        return result;
     }
 
-    // =========================================================================
-    // 3. STABILITY & PROCESSING
-    // =========================================================================
+    /**
+     * Copies the live settings into the active profile and saves the store
+     */
+    function saveSettings() {
+        settingsStore.profiles[settingsStore.activeProfile] = sanitizeProfileSettings(settings);
+        saveSettingsStore();
+    }
 
-    function shouldSkipNode(node) {
-        let current = node;
-        let depth = 0;
+    /**
+     * Trimmed profile name, or null when it is empty or too long
+     */
+    function sanitizeProfileName(name) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        return trimmed && trimmed.length <= CONFIG.PROFILE_NAME_MAX_LENGTH ? trimmed : null;
+    }
 
-        while (current && depth < 5) {
-            if (!current.tagName) {
-                current = current.parentNode;
-                depth++;
+    /**
+     * Problems with a profile's settings: unknown keys, unusable values and numbers
+     * out of range. Empty when every value can be applied as is.
+     */
+    function validateProfileSettings(values) {
+        if (!values || typeof values !== 'object' || Array.isArray(values)) return ['"settings" must be an object'];
+
+        const errors = [];
+        for (const [key, value] of Object.entries(values)) {
+            const schema = SETTINGS_SCHEMA[key];
+            if (!schema) {
+                errors.push(`Unknown setting ${key}`);
                 continue;
             }
-
-            // Skip Ignored Tags
-            if (CONFIG.IGNORE_TAGS.has(current.tagName)) return true;
-            
-            // Skip User Input & Notes
-            if (current.dataset) {
-                const elId = current.dataset.elementId;
-                if (elId === 'user-note' || elId === 'message-input') return true;
+            const sanitized = sanitizeSetting(key, value);
+            if (sanitized === undefined) {
+                errors.push(`Invalid value for ${key}: ${JSON.stringify(value)}`);
+            } else if (schema.type === 'number' && sanitized !== Number(value)) {
+                errors.push(`${key} must be between ${schema.min} and ${schema.max}${schema.integer ? ' (whole number)' : ''}`);
             }
-            
-            // Skip Editable Areas
-            if (current.contentEditable === 'true') return true;
-
-            // Skip Already Processed
-            if (current.className && current.className.includes('bionic-text-wrapper')) return true;
-            
-            // CRITICAL: Skip Active Streaming Cursor
-            if (current.querySelector && current.querySelector(CONFIG.SELECTORS.CURSOR)) return true;
-            if (current.classList && current.classList.contains(CONFIG.SELECTORS.CURSOR.substring(1))) return true;
-
-            current = current.parentNode;
-            depth++;
         }
-        return false;
+        return errors;
     }
 
     /**
-     * Checks if a node is likely being streamed (last child of last element)
+     * Parses an exported profile file (or a bare settings object copied from an
+     * edited USER_SETTINGS, read as version 1). Older files are migrated like
+     * stored settings. Returns { profile: { name, settings }, errors }; the profile
+     * is null when there are errors.
      */
-    function isStreamingNode(node) {
-        const parent = node.parentNode;
-        if (!parent) return false;
-        
-        // If it's the last child, it might be streaming
-        if (parent.lastChild === node) {
-            // Check if parent is part of a response block
-            const responseBlock = parent.closest(CONFIG.SELECTORS.RESPONSE_BLOCK);
-            if (responseBlock) {
-                // If it's the very last text node in the response block, assume streaming
-                return true; 
+    function parseProfile(text, fallbackName = 'Imported') {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            return { profile: null, errors: ['Not valid JSON'] };
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return { profile: null, errors: ['Expected a JSON object'] };
+        }
+
+        const isFile = data.format === CONFIG.PROFILE_FORMAT;
+        const name = sanitizeProfileName(isFile ? data.name : fallbackName);
+        let store;
+        if (isFile) {
+            if (!Number.isInteger(data.version) || data.version < 1) {
+                return { profile: null, errors: ['Missing or invalid "version"'] };
+            }
+            if (data.version > CONFIG.SETTINGS_VERSION) {
+                return { profile: null, errors: [`Made by a newer version of the extension (settings version ${data.version})`] };
             }
+            // Version 1 had no profiles: its settings are the flat object migration 1 expects
+            store = data.version === 1
+                ? { version: 1, settings: data.settings, enabled: null }
+                : { version: data.version, enabled: null, activeProfile: name || '', profiles: { [name || '']: data.settings } };
+        } else if ('format' in data || !Object.keys(data).some(key => key in SETTINGS_SCHEMA)) {
+            return { profile: null, errors: ['Not a Bionic Reading profile'] };
+        } else {
+            store = { version: 1, settings: data, enabled: null };
         }
-        return false;
+
+        const migrated = migrateSettingsStore(store);
+        const values = migrated.profiles[migrated.activeProfile];
+        const errors = name ? [] : [`Profile name must be 1-${CONFIG.PROFILE_NAME_MAX_LENGTH} characters`];
+        errors.push(...validateProfileSettings(values));
+        if (errors.length > 0) return { profile: null, errors };
+        return { profile: { name, settings: sanitizeProfileSettings(values) }, errors };
     }
 
     /**
-     * Efficiently manage streaming node updates
+     * The JSON file for a profile: format marker, settings version, name and settings
      */
-    function markNodeStreaming(node) {
-        const now = Date.now();
-        nodeLastUpdateMap.set(node, now);
-        activeStreamingNodes.add(node);
-        
-        // Start the check loop if not running
-        if (!stabilityCheckInterval) {
-            stabilityCheckInterval = setInterval(checkStability, 200); // Check every 200ms
-        }
+    function serializeProfile(name, values) {
+        return JSON.stringify({
+            format: CONFIG.PROFILE_FORMAT,
+            version: CONFIG.SETTINGS_VERSION,
+            name,
+            settings: sanitizeProfileSettings(values),
+        }, null, 2);
     }
 
     /**
-     * Single loop to check all streaming nodes for stability
+     * Normalizes a stored or edited rule. Empty conditions are dropped, so a
+     * rule without any condition matches every response.
      */
-    function checkStability() {
-        if (activeStreamingNodes.size === 0) {
-            clearInterval(stabilityCheckInterval);
-            stabilityCheckInterval = null;
-            return;
+    function sanitizeRule(raw) {
+        if (!raw || typeof raw !== 'object') return null;
+
+        const rule = {
+            id: typeof raw.id === 'string' && raw.id ? raw.id : Math.random().toString(36).slice(2, 10),
+            action: raw.action === 'disable' ? 'disable' : 'enable',
+        };
+        for (const key of ['chatId', 'model', 'agent']) {
+            const value = typeof raw[key] === 'string' ? raw[key].trim() : '';
+            if (value) rule[key] = value;
         }
+        for (const key of ['minChars', 'maxChars']) {
+            if (raw[key] === null || raw[key] === undefined || raw[key] === '') continue;
+            const value = Math.round(Number(raw[key]));
+            if (Number.isFinite(value) && value >= 0) rule[key] = value;
+        }
+        return rule;
+    }
 
-        const now = Date.now();
-        
-        for (const node of activeStreamingNodes) {
-            const lastUpdate = nodeLastUpdateMap.get(node) || 0;
-            
-            // If node has been stable for long enough
-            if (now - lastUpdate >= CONFIG.STREAMING_DEBOUNCE_MS) {
-                // Remove from tracking
-                activeStreamingNodes.delete(node);
-                nodeLastUpdateMap.delete(node);
-                
-                // Queue for processing
-                queueNode(node);
-            }
+    function loadRules() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(CONFIG.RULES_KEY) || '[]');
+            return Array.isArray(stored) ? stored.map(sanitizeRule).filter(Boolean) : [];
+        } catch (e) {
+            logger.error('Failed to load rules:', e);
+            return [];
         }
     }
 
-    function processTextNode(node) {
-        if (!node || !node.parentNode || processedNodes.has(node)) return;
-        
+    function saveRules() {
         try {
-            const text = node.nodeValue;
-            if (!text || text.length < 3 || REGEX.WHITESPACE.test(text)) {
-                processedNodes.add(node);
-                return;
-            }
-            
-            if (shouldSkipNode(node.parentNode)) return;
+            localStorage.setItem(CONFIG.RULES_KEY, JSON.stringify(enableRules));
+        } catch (e) {
+            logger.error('Failed to save rules:', e);
+        }
+    }
 
-            // STABILITY CHECK: If node seems to be streaming, debounce it
-            if (isStreamingNode(node)) {
-                const now = Date.now();
-                const lastSeen = nodeLastUpdateMap.get(node) || 0;
-                
-                if (now - lastSeen < CONFIG.STREAMING_DEBOUNCE_MS) {
-                    markNodeStreaming(node);
-                    return; 
-                }
-            }
+    /**
+     * Per-surface overrides ({ [id]: { enabled, ratio } }) merged over TARGETS
+     */
+    function loadTargets() {
+        let stored = {};
+        try {
+            stored = JSON.parse(localStorage.getItem(CONFIG.TARGETS_KEY) || '{}') || {};
+        } catch (e) {
+            logger.error('Failed to load target settings:', e);
+        }
 
-            const bionicHtml = transformText(text);
+        return TARGETS.map(target => {
+            const override = stored[target.id] || {};
+            const ratio = sanitizeSetting('BOLD_RATIO', override.ratio);
+            return {
+                ...target,
+                enabled: typeof override.enabled === 'boolean' ? override.enabled : target.enabled,
+                ratio: ratio === undefined ? target.ratio : ratio,
+            };
+        });
+    }
 
-            if (text !== bionicHtml && bionicHtml.includes('<b>')) {
-                const span = document.createElement('span');
-                span.className = 'bionic-text-wrapper';
-                span.innerHTML = bionicHtml;
-                
-                // Double check parent before replacement
-                if (node.parentNode) {
-                    node.parentNode.replaceChild(span, node);
-                    processedNodes.add(span);
-                    // Cleanup from tracking if it was there
-                    activeStreamingNodes.delete(node);
-                }
-            } else {
-                processedNodes.add(node);
-            }
+    function saveTargets() {
+        const stored = {};
+        for (const target of activeTargets) {
+            stored[target.id] = { enabled: target.enabled, ratio: target.ratio };
+        }
+        try {
+            localStorage.setItem(CONFIG.TARGETS_KEY, JSON.stringify(stored));
         } catch (e) {
-            logger.error('Error processing node:', e);
+            logger.error('Failed to save target settings:', e);
         }
     }
 
-    function processBatch() {
-        rafScheduled = false;
-        
-        if (!isEnabled || pendingNodes.length === 0) {
-            pendingNodes = [];
-            return;
-        }
+    /**
+     * Normalizes stored skip rule settings: `rules` maps SKIP_RULES ids to on/off,
+     * `custom` lists user patterns ({ id, pattern, enabled })
+     */
+    function sanitizeSkipRules(raw) {
+        const config = { rules: {}, custom: [] };
+        if (!raw || typeof raw !== 'object') return config;
 
-        const batch = pendingNodes.splice(0, CONFIG.MAX_BATCH_SIZE);
-        
-        for (let i = 0; i < batch.length; i++) {
-            processTextNode(batch[i]);
+        const switches = raw.rules && typeof raw.rules === 'object' ? raw.rules : {};
+        for (const rule of SKIP_RULES) {
+            if (typeof switches[rule.id] === 'boolean') config.rules[rule.id] = switches[rule.id];
+        }
+        for (const custom of Array.isArray(raw.custom) ? raw.custom : []) {
+            if (!custom || typeof custom !== 'object') continue;
+            config.custom.push({
+                id: typeof custom.id === 'string' && custom.id ? custom.id : `custom-${Math.random().toString(36).slice(2, 10)}`,
+                pattern: typeof custom.pattern === 'string' ? custom.pattern : '',
+                enabled: custom.enabled !== false,
+            });
         }
+        return config;
+    }
 
-        // Re-schedule if nodes remain
-        if (pendingNodes.length > 0) {
-            rafScheduled = true;
-            requestAnimationFrame(processBatch);
+    function loadSkipRules() {
+        try {
+            return sanitizeSkipRules(JSON.parse(localStorage.getItem(CONFIG.SKIP_RULES_KEY) || 'null'));
+        } catch (e) {
+            logger.error('Failed to load skip rules:', e);
+            return sanitizeSkipRules(null);
         }
     }
 
-    function queueNode(node) {
-        if (pendingNodes.length > 1000) {
-            // Safety valve: Drop oldest nodes if queue is too full
-            pendingNodes.splice(0, 100); 
-            logger.warn('Queue overflow, dropped 100 nodes');
+    function saveSkipRules() {
+        try {
+            localStorage.setItem(CONFIG.SKIP_RULES_KEY, JSON.stringify(skipRuleConfig));
+        } catch (e) {
+            logger.error('Failed to save skip rules:', e);
         }
-        
-        pendingNodes.push(node);
-        
-        if (!rafScheduled) {
-            rafScheduled = true;
-            requestAnimationFrame(processBatch);
+    }
+
+    /**
+     * Per-rule overrides ({ [id]: { action, ratio, mode } }) merged over STRUCTURE_RULES
+     */
+    function loadStructureRules() {
+        let stored = {};
+        try {
+            stored = JSON.parse(localStorage.getItem(CONFIG.STRUCTURE_KEY) || '{}') || {};
+        } catch (e) {
+            logger.error('Failed to load structure rules:', e);
         }
+
+        return STRUCTURE_RULES.map(rule => {
+            const override = stored[rule.id] || {};
+            // null is a stored choice: the surface ratio / the global algorithm
+            const ratio = override.ratio === null ? null : sanitizeSetting('BOLD_RATIO', override.ratio);
+            const mode = override.mode === null || FIXATION_STRATEGIES[override.mode] ? override.mode : undefined;
+            return {
+                ...rule,
+                action: override.action === 'format' || override.action === 'skip' ? override.action : rule.action,
+                ratio: ratio === undefined ? rule.ratio : ratio,
+                mode: mode === undefined ? rule.mode : mode,
+            };
+        });
     }
 
-    function processElement(element) {
-        if (!element || shouldSkipNode(element)) return;
+    function saveStructureRules() {
+        const stored = {};
+        for (const rule of structureRules) {
+            stored[rule.id] = { action: rule.action, ratio: rule.ratio, mode: rule.mode };
+        }
+        try {
+            localStorage.setItem(CONFIG.STRUCTURE_KEY, JSON.stringify(stored));
+        } catch (e) {
+            logger.error('Failed to save structure rules:', e);
+        }
+    }
+
+    /**
+     * Reading progress per chat ID: `read` keys of the responses scrolled through,
+     * the `position` at the top of the viewport ({ key, offset }) and when it was
+     * `updated`
+     */
+    function loadReadingProgress() {
+        let stored = {};
+        try {
+            stored = JSON.parse(localStorage.getItem(CONFIG.PROGRESS_KEY) || '{}') || {};
+        } catch (e) {
+            logger.error('Failed to load reading progress:', e);
+        }
+
+        const progress = {};
+        for (const [chatId, chat] of Object.entries(stored)) {
+            if (!chat || !Array.isArray(chat.read)) continue;
+            const position = chat.position && typeof chat.position.key === 'string' && Number.isFinite(chat.position.offset)
+                ? { key: chat.position.key, offset: Math.min(1, Math.max(0, chat.position.offset)) }
+                : null;
+            progress[chatId] = { read: chat.read.filter(key => typeof key === 'string'), position, updated: Number(chat.updated) || 0 };
+        }
+        return progress;
+    }
+
+    /**
+     * Writes the reading progress, keeping the PROGRESS_MAX_CHATS most recently read chats
+     */
+    function saveReadingProgress() {
+        const chatIds = Object.keys(readingProgress);
+        if (chatIds.length > CONFIG.PROGRESS_MAX_CHATS) {
+            chatIds.sort((a, b) => readingProgress[b].updated - readingProgress[a].updated)
+                .slice(CONFIG.PROGRESS_MAX_CHATS)
+                .forEach(chatId => delete readingProgress[chatId]);
+        }
+        try {
+            localStorage.setItem(CONFIG.PROGRESS_KEY, JSON.stringify(readingProgress));
+        } catch (e) {
+            logger.error('Failed to save reading progress:', e);
+        }
+    }
+
+    /**
+     * Key name in the KeyboardEvent.code vocabulary eventToShortcut produces:
+     * "B" for KeyB, "5" for Digit5, "Slash" for "/", "ArrowUp" as is. Null for a
+     * character no code name is known for.
+     */
+    function normalizeShortcutKey(key) {
+        const lower = key.toLowerCase();
+        const named = CONFIG.SHORTCUT_KEY_CODES[key]
+            || Object.values(CONFIG.SHORTCUT_KEY_CODES).find(code => code.toLowerCase() === lower);
+        if (named) return named;
+        if (/^key[a-z]$/.test(lower)) return key.slice(3).toUpperCase();
+        if (/^digit\d$/.test(lower)) return key.slice(5);
+        if (/^[a-z0-9]$/.test(lower)) return key.toUpperCase();
+        return /^[A-Za-z][A-Za-z0-9]+$/.test(key) ? key : null;
+    }
+
+    /**
+     * Canonical form of a shortcut string ("ctrl+shift+b" -> "Mod+Shift+B",
+     * "alt+/" -> "Alt+Slash"), or null when it has no valid key or no Ctrl/Cmd/Alt
+     * modifier
+     */
+    function normalizeShortcut(keys) {
+        if (typeof keys !== 'string') return null;
+        const modifiers = new Set();
+        let key = null;
+        for (const part of keys.split('+').map(part => part.trim()).filter(Boolean)) {
+            const lower = part.toLowerCase();
+            if (['mod', 'ctrl', 'control', 'cmd', 'meta'].includes(lower)) modifiers.add('Mod');
+            else if (['alt', 'option'].includes(lower)) modifiers.add('Alt');
+            else if (lower === 'shift') modifiers.add('Shift');
+            else key = normalizeShortcutKey(part);
+        }
+        if (!key || !(modifiers.has('Mod') || modifiers.has('Alt'))) return null;
+        return [...['Mod', 'Alt', 'Shift'].filter(mod => modifiers.has(mod)), key].join('+');
+    }
+
+    /**
+     * Shortcut bindings ({ [action]: { keys, allowInInput } }), stored overrides
+     * merged over the SHORTCUT_ACTIONS defaults. `keys: null` disables an action.
+     */
+    function loadShortcuts() {
+        let stored = {};
+        try {
+            stored = JSON.parse(localStorage.getItem(CONFIG.SHORTCUTS_KEY) || '{}') || {};
+        } catch (e) {
+            logger.error('Failed to load shortcuts:', e);
+        }
+
+        const bindings = {};
+        for (const [id, action] of Object.entries(SHORTCUT_ACTIONS)) {
+            const override = stored[id] || {};
+            bindings[id] = {
+                keys: override.keys === null ? null : normalizeShortcut(override.keys) || action.keys,
+                allowInInput: typeof override.allowInInput === 'boolean' ? override.allowInInput : action.allowInInput,
+            };
+        }
+        return bindings;
+    }
+
+    function saveShortcuts() {
+        try {
+            localStorage.setItem(CONFIG.SHORTCUTS_KEY, JSON.stringify(shortcutBindings));
+        } catch (e) {
+            logger.error('Failed to save shortcuts:', e);
+        }
+    }
+
+    // Regex Patterns
+    const REGEX = {
+        WHITESPACE: /^\s*$/,
+        SINGLE_CHAR: /^.$/,
+        NUMERIC: /^\d+([.,]\d+)*%?$/,
+        URL: /^(https?:\/\/|www\.|mailto:|tel:|ftp:)/i,
+        VERSION: /^v?\d+\.\d+/i,
+        UUID: /^[0-9a-f]{8}-/i,
+        DATE: /^\d{1,4}[-/]\d{1,2}/,
+        TIME: /^\d{1,2}:\d{2}/,
+        EMAIL: /^[\w.+-]+@[\w-]+(?:\.[\w-]+)+$/,
+        // Domains without a scheme or www. Only well-known TLDs, so "done.It" stays a word
+        DOMAIN: /^(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+(?:com|org|net|edu|gov|mil|int|io|dev|ai|app|co|info|biz|xyz|tech|cloud|site|online|uk|de|fr|nl|es|ch|se|jp|cn|ru|ca|au|eu)(?::\d+)?(?:[/?#]\S*)?$/i,
+        // Absolute (/usr/bin, ~/x, ./x, C:\x, \\server), or relative with a trailing slash or a file at the end
+        PATH: /^(?:~|\.{1,2})?\/\S|^[a-z]:\\|^\\\\\S|^[\w.@-]+(?:[/\\][\w.@-]+)+[/\\]$|^[\w.@-]+(?:[/\\][\w.@-]+)*[/\\][\w@-]+\.[a-z0-9]{1,5}$/i,
+        FILE_NAME: /^[\w@-]*(?:\.[\w-]+)*\.(?:[cm]?js|jsx|tsx?|json|mdx?|txt|csv|tsv|html?|css|scss|less|xml|ya?ml|toml|ini|cfg|conf|env|lock|log|py|ipynb|rb|go|rs|java|kts?|swift|c|h|cpp|hpp|cc|cs|php|sh|bash|zsh|ps1|bat|sql|sqlite|db|vue|svelte|png|jpe?g|gif|svg|webp|ico|bmp|tiff?|mp3|mp4|wav|mov|webm|pdf|docx?|xlsx?|pptx?|zip|tar|gz|tgz|rar|7z|dmg|exe|dll|apk|woff2?|ttf|otf|wasm|gitignore|dockerignore)$/i,
+        GIT_SHA: /^(?=[a-f]*\d)[0-9a-f]{7,64}$/i,
+        HEX_COLOR: /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i,
+        // snake_case, _private, and camelCase with 2+ lowercase letters before the first capital (not iPhone, eBay)
+        IDENTIFIER: /^_*[A-Za-z][A-Za-z0-9]*(?:_+[A-Za-z0-9]+)+_*$|^_+[A-Za-z]\w*$|^[a-z]{2,}\d*(?:[A-Z][a-z0-9]*)+$/,
+        // 3-6 capitals (digits and & allowed), optional plural: API, HTTP2, AT&T, URLs. Not OK, US, IT, AI
+        ACRONYM: /^(?=(?:[^A-Z]*[A-Z]){3})[A-Z][A-Z0-9&]{2,5}s?$/,
+        // Punctuation joining two words without a space ("world.This", "yes,but")
+        JOINED_WORDS: /([.,;:!?]+)(?=[\p{L}\p{N}])/u,
+        // Brackets, quotes and sentence punctuation around a token ("(see foo_bar()).")
+        TOKEN_EDGES: /^[(\[{<"'‘“«]+|(?:\(\))?[.,;:!?"'’”»)\]}>]*$/g,
+        WORD_PARTS: /^([^\p{L}\p{N}]*)([\p{L}\p{N}][\p{L}\p{M}\p{N}]*(?:[-'’][\p{L}\p{N}][\p{L}\p{M}\p{N}]*)*)([^\p{L}\p{N}]*)$/u,
+        VOWEL: /[aeiouàáâãäåæèéêëìíîïòóôõöøœùúûü]/,
         
-        const walker = document.createTreeWalker(
-            element,
-            NodeFilter.SHOW_TEXT,
-            {
-                acceptNode: function(node) {
-                    if (!node.nodeValue || REGEX.WHITESPACE.test(node.nodeValue)) {
-                        return NodeFilter.FILTER_REJECT;
+        // Scripts
+        IDEOGRAPHIC: /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u,
+        NO_SPACE_SCRIPT: /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u,
+        ARABIC: /\p{Script=Arabic}/u,
+        // Arabic letters that never join to the following letter (ArabicShaping.txt types R and U)
+        ARABIC_NON_JOINING_AFTER: /[\u0621-\u0625\u0627\u0629\u062F-\u0632\u0648\u0671-\u0673\u0675-\u0677\u0688-\u0699\u06C0\u06C3-\u06CB\u06CD\u06CF\u06D2\u06D3\u06D5\u06EE\u06EF]/,
+        // Anything that can make a grapheme cluster longer than one code unit
+        COMPLEX_GRAPHEME: /[\p{M}\u200D\uFE0E\uFE0F\u{10000}-\u{10FFFF}]/u,
+        CLUSTER_CONTINUATION: /^[\p{M}\u200D\uFE0E\uFE0F]/u,
+    };
+
+    // Token classifier rules, checked in order on each word (without surrounding
+    // brackets and punctuation). The first match leaves the word unformatted.
+    // `enabled` is the default, switchable from the settings panel.
+    const SKIP_RULES = [
+        { id: 'numeric', label: 'Numbers (42, 3.14, 99%)', enabled: true, test: token => REGEX.NUMERIC.test(token) },
+        { id: 'date', label: 'Dates (2025-12-01, 12/31)', enabled: true, test: token => /[-/]/.test(token) && REGEX.DATE.test(token) },
+        { id: 'time', label: 'Times (12:30, 9:05pm)', enabled: true, test: token => token.includes(':') && REGEX.TIME.test(token) },
+        { id: 'url', label: 'URLs (https://, www., mailto:)', enabled: true, test: token => token.length > 4 && REGEX.URL.test(token) },
+        { id: 'email', label: 'Email addresses', enabled: true, test: token => token.includes('@') && REGEX.EMAIL.test(token) },
+        { id: 'domain', label: 'Domains (example.com)', enabled: true, test: token => token.includes('.') && REGEX.DOMAIN.test(token) },
+        { id: 'path', label: 'File paths (/usr/bin, C:\\Users, src/app/)', enabled: true, test: token => REGEX.PATH.test(token) },
+        { id: 'file', label: 'File names (index.js)', enabled: true, test: token => token.includes('.') && REGEX.FILE_NAME.test(token) },
+        { id: 'version', label: 'Versions (v1.2.3)', enabled: true, test: token => REGEX.VERSION.test(token) },
+        { id: 'uuid', label: 'UUIDs', enabled: true, test: token => token.length > 4 && REGEX.UUID.test(token) },
+        { id: 'hash', label: 'Hashes and git SHAs', enabled: true, test: token => REGEX.GIT_SHA.test(token) },
+        { id: 'hex-color', label: 'Hex colors (#ff8800)', enabled: true, test: token => token[0] === '#' && REGEX.HEX_COLOR.test(token) },
+        { id: 'identifier', label: 'Identifiers (snake_case, camelCase)', enabled: true, test: token => REGEX.IDENTIFIER.test(token) },
+        { id: 'acronym', label: 'Acronyms (API, HTTPS)', enabled: true, test: token => REGEX.ACRONYM.test(token) },
+    ];
+
+    // Script detection: dominant script of a response block -> segmentation locale. Right-to-left
+    // scripts need no special case: the fixation is the logical start of the word.
+    const LANGUAGE_SCRIPTS = [
+        { name: 'japanese', pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu, locale: 'ja' },
+        { name: 'chinese', pattern: /\p{Script=Han}/gu, locale: 'zh' },
+        { name: 'thai', pattern: /\p{Script=Thai}/gu, locale: 'th' },
+        { name: 'lao', pattern: /\p{Script=Lao}/gu, locale: 'lo' },
+        { name: 'khmer', pattern: /\p{Script=Khmer}/gu, locale: 'km' },
+        { name: 'burmese', pattern: /\p{Script=Myanmar}/gu, locale: 'my' },
+        { name: 'arabic', pattern: /\p{Script=Arabic}/gu, locale: 'ar' },
+        { name: 'hebrew', pattern: /\p{Script=Hebrew}/gu, locale: 'he' },
+    ];
+    const DEFAULT_LANGUAGE = { name: 'default', locale: undefined };
+
+    // Very frequent English words get a lighter fixation in "frequency" mode
+    const COMMON_WORDS = new Set([
+        'the', 'be', 'to', 'of', 'and', 'a', 'in', 'that', 'have', 'it', 'for', 'not', 'on', 'with',
+        'he', 'as', 'you', 'do', 'at', 'this', 'but', 'his', 'by', 'from', 'they', 'we', 'say', 'her',
+        'she', 'or', 'an', 'will', 'my', 'one', 'all', 'would', 'there', 'their', 'what', 'so', 'up',
+        'out', 'if', 'about', 'who', 'get', 'which', 'go', 'me', 'when', 'make', 'can', 'like', 'time',
+        'no', 'just', 'him', 'know', 'take', 'into', 'your', 'some', 'could', 'them', 'see', 'other',
+        'than', 'then', 'now', 'only', 'its', 'also', 'after', 'use', 'how', 'our', 'well', 'way',
+        'even', 'want', 'because', 'any', 'these', 'most', 'is', 'are', 'was', 'were', 'been', 'has',
+        'had', 'does', 'did', 'should', 'may', 'might', 'must', 'more', 'very', 'each', 'such', 'here',
+    ]);
+
+    // Intl.Segmenter instances per locale and granularity
+    const segmenterCache = new Map();
+
+    // Classifier with the default SKIP_RULES, used when no options are passed
+    const defaultTokenClassifier = createTokenClassifier();
+
+    // Node entry point (tests): export the DOM-free core and stop before anything
+    // touches localStorage or the page. In the browser `module` is undefined.
+    if (typeof module === 'object' && module && module.exports) {
+        module.exports = {
+            USER_SETTINGS,
+            REGEX,
+            SKIP_RULES,
+            FIXATION_STRATEGIES,
+            DEFAULT_LANGUAGE,
+            createFixationOptions,
+            getBoldLength,
+            createTokenClassifier,
+            shouldSkipWord,
+            processWord,
+            transformText,
+            getFixationRanges,
+            getSegments,
+            needsJoiner,
+            snapToGrapheme,
+            detectLanguage,
+            sanitizeSetting,
+            migrateSettingsStore,
+            parseProfile,
+            serializeProfile,
+        };
+        return;
+    }
+
+    // Saved settings: named profiles and the on/off state. The live settings are a
+    // copy of the active profile, written back whenever they change.
+    const settingsStore = loadSettingsStore();
+    const settings = { ...USER_SETTINGS, ...settingsStore.profiles[settingsStore.activeProfile] };
+
+    // State management
+    let isEnabled = settingsStore.enabled === null ? settings.ENABLED_BY_DEFAULT : settingsStore.enabled;
+    
+    // Index of the SELECTOR_CHAINS candidate each role resolved to (-1 = none found yet)
+    const selectorMatches = {};
+    resolveSelectors();
+    
+    // Surfaces with their saved overrides, and the combined selector of the enabled ones
+    let activeTargets = loadTargets();
+    let targetSelector = getTargetSelector();
+    
+    // Elements reverted through the public API stay plain until `process()` is called on them
+    const suspendedElements = new WeakSet();
+    let hasSuspendedElements = false;
+    
+    // Skip rule switches and custom patterns, compiled into the active classifier
+    let skipRuleConfig = loadSkipRules();
+    let tokenClassifier = createTokenClassifier(skipRuleConfig);
+    
+    // Structure rules, the ones that change anything and their combined selector
+    let structureRules = loadStructureRules();
+    let activeStructureRules = getActiveStructureRules();
+    let structureSelector = activeStructureRules.map(rule => rule.selector).join(', ');
+    
+    // Keyboard shortcut bindings per action
+    let shortcutBindings = loadShortcuts();
+    let hiddenFontFamily = null; // Font put back by the toggle-font shortcut
+    
+    // Enable rules (first match wins) and the last decision per response block.
+    // Per-response switches from the response toolbar take precedence (session only).
+    let enableRules = loadRules();
+    let blockRuleDecisions = new WeakMap();
+    const blockOverrides = new WeakMap();
+
+    // Per-response host (toolbar and progress rail), mounted as the previous sibling
+    // of its block: React owns the block's children, and its text is what gets
+    // copied, read and counted
+    const blockHosts = new WeakMap();
+    
+    // Focus mode overlay, the cloned response it formats and the element focused before
+    let focusOverlay = null;
+    let focusContent = null;
+    let focusOpener = null;
+    
+    // Reading progress per chat ID: read responses and the last reading position.
+    // Responses are identified by a hash of their leading text (see getBlockReadingInfo).
+    let readingProgress = loadReadingProgress();
+    let blockReadingInfo = new WeakMap();
+    let progressFrameScheduled = false;
+    let progressSaveTimer = null;
+    let pendingResume = null; // { chatId, position, timer } while a reopened chat renders
+    let resumePromptTimer = null;
+    
+    // Read-aloud: the speech backend (replaceable through the public API) and the
+    // response being read, with its text mapped back to the text nodes it came from
+    let speechBackend = null;
+    let readAloud = null; // { block, text, segments, wordStart, paused, utterances }
+    let speechHighlight = null;
+    
+    // Track processed nodes (replaced wholesale when settings force a reprocess)
+    let processedNodes = new WeakSet();
+    
+    // Language profile per response block
+    let blockLanguageCache = new WeakMap();
+    
+    // Wrapper span -> the original text node it replaced (put back as is on revert)
+    const wrapperOriginals = new WeakMap();
+    
+    // Highlight rendering: text node -> its fixation Ranges in the shared Highlight
+    let bionicHighlight = null;
+    let highlightRanges = new WeakMap();
+    let highlightsNeedPrune = false;
+    let highlightFallbackLogged = false;
+    
+    // Live streaming: streaming text node -> { prefix, ranges, context } of its inline run.
+    // `prefix` is the run text already formatted (up to the last whitespace).
+    let liveRunState = new WeakMap();
+    
+    // Processing queues. Nodes in observed (on-screen) blocks are processed in
+    // animation frames within FRAME_BUDGET_MS; the rest waits for idle time.
+    // Nothing is dropped: whatever doesn't fit stays queued for the next slot.
+    const pendingQueues = { visible: [], offscreen: [] };
+    let queuedNodes = new WeakSet();
+    let frameScheduled = false;
+    let idleScheduled = false;
+    const schedulerStats = { frames: 0, idleRuns: 0, overBudgetFrames: 0, lastFrameMs: 0, maxFrameMs: 0, totalFrameMs: 0, peakQueue: 0 };
+    let observer = null;
+    let intersectionObserver = null;
+    let styleElement = null;
+    let uiStyleElement = null;
+    let settingsButton = null;
+    
+    // Block lifecycle: only target blocks near the viewport have a MutationObserver.
+    // Blocks are released when they scroll away or leave the DOM, so long chats
+    // don't pin every message ever rendered.
+    let blockObservers = new WeakMap();
+    const observedBlocks = new Set();
+    const lifecycleStats = { attached: 0, releasedOffscreen: 0, releasedRemoved: 0, droppedNodes: 0, formattedNodes: 0 };
+    
+    // Stability Checker State
+    const activeStreamingNodes = new Set(); // Nodes currently receiving updates
+    const nodeLastUpdateMap = new WeakMap(); // Last update timestamp for nodes
+    let stabilityCheckInterval = null;
+
+
+    // =========================================================================
+    // 2. CORE ALGORITHM
+    // =========================================================================
+
+    function getBoldLength(wordLength, ratio = USER_SETTINGS.BOLD_RATIO) {
+        if (wordLength <= 3) return 1;
+        return Math.round(wordLength * ratio);
+    }
+
+    /**
+     * Fixation strategies. Each takes the letter/number core of a word and the
+     * fixation options ({ ratio, interval, index }) and returns how many leading
+     * characters to bold (0 leaves the word plain). They don't read settings
+     * directly so each one can be tested on its own.
+     */
+    function ratioFixation(core, options) {
+        return getBoldLength(core.length, options.ratio);
+    }
+
+    function isVowelAt(word, i) {
+        // "y" only acts as a vowel after the first letter (yes vs. rhythm)
+        return REGEX.VOWEL.test(word[i]) || (i > 0 && word[i] === 'y');
+    }
+
+    function syllableFixation(core, options) {
+        if (core.length <= 3) return 1;
+
+        const word = core.toLowerCase();
+        let i = 0;
+        while (i < word.length && !isVowelAt(word, i)) i++;
+        // No vowel (acronym or non-Latin script): nothing to syllabify
+        if (i === word.length) return ratioFixation(core, options);
+
+        while (i < word.length && isVowelAt(word, i)) i++;
+        let j = i;
+        while (j < word.length && !isVowelAt(word, j)) j++;
+        // Single syllable: fall back to the ratio
+        if (j === word.length) return ratioFixation(core, options);
+
+        // V-CV keeps a lone consonant with the next syllable (rea-ding),
+        // VC-CV splits a consonant cluster (won-der)
+        const boundary = j - i <= 1 ? i : i + 1;
+        return Math.min(boundary, core.length - 1);
+    }
+
+    function frequencyFixation(core, options) {
+        if (!COMMON_WORDS.has(core.toLowerCase())) return ratioFixation(core, options);
+        if (core.length <= 3) return 0;
+        return Math.max(1, Math.round(core.length * options.ratio / 2));
+    }
+
+    function saccadeFixation(core, options) {
+        if (options.index % options.interval !== 0) return 0;
+        return ratioFixation(core, options);
+    }
+
+    /**
+     * Fixation options from a settings object (USER_SETTINGS keys). The core only
+     * reads these options, never the live settings, so it runs without a browser.
+     */
+    function createFixationOptions(config = USER_SETTINGS, language = DEFAULT_LANGUAGE, classifyToken = defaultTokenClassifier) {
+        const strategy = FIXATION_STRATEGIES[config.FIXATION_MODE] || FIXATION_STRATEGIES.ratio;
+        return {
+            getBoldLength: strategy.getBoldLength,
+            classifyToken,
+            ratio: config.BOLD_RATIO,
+            interval: config.SACCADE_INTERVAL,
+            cjkMode: config.CJK_MODE,
+            language,
+            index: 0,
+        };
+    }
+
+    /**
+     * Fixation options from the live settings, with an optional per-target ratio
+     */
+    function getFixationOptions(language = DEFAULT_LANGUAGE, ratio = settings.BOLD_RATIO) {
+        return { ...createFixationOptions(settings, language, tokenClassifier), ratio };
+    }
+
+    /**
+     * Number of leading characters of `part` to bold, moved to a grapheme boundary
+     */
+    function getPrefixLength(part, options) {
+        const len = Math.min(options.getBoldLength(part, options), part.length);
+        return len > 0 ? snapToGrapheme(part, len) : 0;
+    }
+
+    /**
+     * Arabic letters change shape when a <b> boundary splits the word. A cut after a
+     * letter that joins forward gets zero-width joiners on both sides so the word
+     * keeps its cursive connection across the boundary.
+     */
+    function needsJoiner(text, cut) {
+        if (cut <= 0 || cut >= text.length || !REGEX.ARABIC.test(text[cut])) return false;
+
+        let i = cut - 1;
+        while (i > 0 && /\p{M}/u.test(text[i])) i--;
+        return REGEX.ARABIC.test(text[i]) && !REGEX.ARABIC_NON_JOINING_AFTER.test(text[i]);
+    }
+
+    /**
+     * Splits `text` into `{ text, bold }` segments along the [start, end) fixation ranges
+     */
+    function getSegments(text, ranges) {
+        const segments = [];
+        let cursor = 0;
+        let carry = '';
+        for (const [start, end] of ranges) {
+            const joiner = needsJoiner(text, end) ? '\u200D' : '';
+            if (start > cursor) segments.push({ text: carry + text.slice(cursor, start), bold: false });
+            else if (carry) segments.push({ text: carry, bold: false });
+            segments.push({ text: text.slice(start, end) + joiner, bold: true });
+            carry = joiner;
+            cursor = end;
+        }
+        if (cursor < text.length || carry) segments.push({ text: carry + text.slice(cursor), bold: false });
+        return segments;
+    }
+
+    /**
+     * Builds the DOM for a segment list. Text only ever goes through
+     * createTextNode, so `<` and `&` in model output stay literal.
+     */
+    function renderSegments(segments) {
+        const fragment = document.createDocumentFragment();
+        for (const segment of segments) {
+            if (segment.bold) {
+                const b = document.createElement('b');
+                b.textContent = segment.text;
+                fragment.appendChild(b);
+            } else {
+                fragment.appendChild(document.createTextNode(segment.text));
+            }
+        }
+        return fragment;
+    }
+
+    // =========================================================================
+    // 2.1 LANGUAGE & SEGMENTATION
+    // =========================================================================
+
+    function getSegmenter(locale, granularity) {
+        if (typeof Intl === 'undefined' || typeof Intl.Segmenter !== 'function') return null;
+
+        const key = `${locale || ''}:${granularity}`;
+        if (!segmenterCache.has(key)) {
+            segmenterCache.set(key, new Intl.Segmenter(locale, { granularity }));
+        }
+        return segmenterCache.get(key);
+    }
+
+    /**
+     * Moves a cut index forward to the next grapheme boundary so a fixation never
+     * splits a combining sequence, conjunct or emoji ZWJ sequence. Keeps at least
+     * one unbolded cluster when the word has more than one.
+     */
+    function snapToGrapheme(text, index) {
+        if (!REGEX.COMPLEX_GRAPHEME.test(text)) return index;
+
+        const segmenter = getSegmenter(undefined, 'grapheme');
+        if (!segmenter) {
+            while (index < text.length && REGEX.CLUSTER_CONTINUATION.test(text.slice(index))) index++;
+            return index;
+        }
+
+        let previous = 0;
+        for (const { index: start, segment } of segmenter.segment(text)) {
+            const end = start + segment.length;
+            if (end >= index) {
+                return end === text.length && previous > 0 ? previous : end;
+            }
+            previous = end;
+        }
+        return index;
+    }
+
+    function detectLanguage(text) {
+        const sample = text.slice(0, CONFIG.LANGUAGE_SAMPLE_SIZE);
+        const letters = (sample.match(/\p{L}/gu) || []).length;
+        let best = DEFAULT_LANGUAGE;
+        let bestCount = 0;
+
+        for (const script of LANGUAGE_SCRIPTS) {
+            const count = (sample.match(script.pattern) || []).length;
+            // Any kana means Japanese even when kanji dominate the sample
+            const weight = script.name === 'japanese' && count > 0 ? count + letters : count;
+            if (weight > bestCount) {
+                best = script;
+                bestCount = weight;
+            }
+        }
+
+        // A script only wins when it is a sizable share of the letters
+        const language = bestCount * 4 >= letters ? best : DEFAULT_LANGUAGE;
+        return { name: language.name, locale: language.locale, letters };
+    }
+
+    /**
+     * Returns the language profile of the target element (response block, user
+     * message...) containing `node`, detected once per element from its text
+     */
+    function getLanguageProfile(node) {
+        const block = getTargetRoot(node);
+        if (!block) return detectLanguage(node.textContent || '');
+
+        const cached = blockLanguageCache.get(block);
+        if (cached) return cached;
+
+        const profile = detectLanguage(block.textContent || '');
+        // Streaming blocks start out short; keep re-detecting until the sample is reliable
+        if (profile.letters >= CONFIG.LANGUAGE_MIN_LETTERS) {
+            blockLanguageCache.set(block, profile);
+            logger.log('Detected block language:', profile.name);
+        }
+        return profile;
+    }
+
+    function collectIdeographicFixation(word, offset, options, ranges) {
+        if (options.cjkMode !== 'first-char') return;
+
+        const first = snapToGrapheme(word, 1);
+        if (first < word.length) ranges.push([offset, offset + first]);
+    }
+
+    /**
+     * Splits a whitespace-free token from a script written without spaces
+     * (Chinese, Japanese, Thai...) into words with Intl.Segmenter. Without
+     * Segmenter support the token is left as is rather than bolded as one word.
+     */
+    function collectSegmentedFixations(token, offset, context, ranges) {
+        const segmenter = getSegmenter(context.language && context.language.locale, 'word');
+        if (!segmenter) return;
+
+        for (const { segment, index, isWordLike } of segmenter.segment(token)) {
+            if (!isWordLike) continue;
+            if (REGEX.IDEOGRAPHIC.test(segment)) {
+                collectIdeographicFixation(segment, offset + index, context, ranges);
+            } else {
+                collectWordFixations(segment, offset + index, context, ranges);
+            }
+            context.index++;
+        }
+    }
+
+    /**
+     * Compiles a custom skip pattern, written either as a plain regex source
+     * (`^JIRA-\d+$`) or as a literal with flags (`/^todo$/i`). Returns null when
+     * the pattern is invalid.
+     */
+    function compileSkipPattern(source) {
+        if (typeof source !== 'string' || !source.trim()) return null;
+
+        const literal = source.trim().match(/^\/(.+)\/([a-z]*)$/);
+        try {
+            // Drop g and y: a stateful lastIndex would make test() alternate
+            return literal
+                ? new RegExp(literal[1], literal[2].replace(/[gy]/g, ''))
+                : new RegExp(source.trim());
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Builds `classifyToken(word)`, which returns the id of the first matching
+     * skip rule or null. `config.rules` switches built-in SKIP_RULES on or off by
+     * id, `config.custom` adds `{ id, pattern, enabled }` rules after them.
+     */
+    function createTokenClassifier(config = {}) {
+        const switches = config.rules || {};
+        const rules = SKIP_RULES.filter(rule => (typeof switches[rule.id] === 'boolean' ? switches[rule.id] : rule.enabled));
+
+        for (const custom of config.custom || []) {
+            if (custom.enabled === false) continue;
+            const pattern = compileSkipPattern(custom.pattern);
+            if (pattern) rules.push({ id: custom.id, test: token => pattern.test(token) });
+        }
+
+        return function classifyToken(word) {
+            const token = word.replace(REGEX.TOKEN_EDGES, '');
+            if (!token) return null;
+            for (const rule of rules) {
+                if (rule.test(token)) return rule.id;
+            }
+            return null;
+        };
+    }
+
+    function shouldSkipWord(word, classifyToken = defaultTokenClassifier) {
+        if (word.length < 2) return true;
+        if (REGEX.WHITESPACE.test(word)) return true;
+        return classifyToken(word) !== null;
+    }
+
+    /**
+     * Pushes the [start, end) fixation ranges of one whitespace-delimited word,
+     * shifted by `offset`. Hyphenated words get one fixation per part.
+     */
+    function collectWordFixations(word, offset, options, ranges) {
+        if (!word || shouldSkipWord(word, options.classifyToken)) return;
+
+        const match = word.match(REGEX.WORD_PARTS);
+        if (!match) {
+            // Words run together at a sentence or list boundary get a fixation each
+            // (split keeps the punctuation at odd indexes)
+            const pieces = word.split(REGEX.JOINED_WORDS);
+            if (pieces.length === 1) return;
+            for (let i = 0; i < pieces.length; i++) {
+                if (i % 2 === 0) collectWordFixations(pieces[i], offset, options, ranges);
+                offset += pieces[i].length;
+            }
+            return;
+        }
+
+        const [_, prefix, core] = match;
+        if (!core || core.length < 2) return;
+
+        let start = offset + prefix.length;
+        if (core.includes('-')) {
+            const parts = core.split('-');
+            for (let i = 0; i < parts.length; i++) {
+                const part = parts[i];
+                if (part.length > 1 && !/^\d+$/.test(part)) {
+                    const len = getPrefixLength(part, options);
+                    if (len > 0) ranges.push([start, start + len]);
+                }
+                start += part.length + 1;
+            }
+            return;
+        }
+
+        const len = getPrefixLength(core, options);
+        if (len > 0) ranges.push([start, start + len]);
+    }
+
+    /**
+     * Pushes the fixation ranges of every word in `text`, shifted by `offset`.
+     * `context.index` keeps counting words so callers can continue where a
+     * previous chunk of the same text stopped.
+     */
+    function collectTextFixations(text, offset, context, ranges) {
+        const words = text.split(/(\s+)/);
+        
+        for (let i = 0; i < words.length; i++) {
+            const word = words[i];
+            const start = offset;
+            offset += word.length;
+            if (!word || /\s/.test(word)) continue;
+
+            if (REGEX.NO_SPACE_SCRIPT.test(word)) {
+                collectSegmentedFixations(word, start, context, ranges);
+                continue;
+            }
+            collectWordFixations(word, start, context, ranges);
+            context.index++;
+        }
+    }
+
+    /**
+     * Returns the sorted [start, end) ranges of `text` that should be bold
+     */
+    function getFixationRanges(text, options = createFixationOptions()) {
+        const ranges = [];
+        if (!text || text.length < 3) return ranges;
+        if (!/[\p{L}\p{N}]/u.test(text)) return ranges;
+        
+        collectTextFixations(text, 0, { ...options }, ranges);
+        return ranges;
+    }
+
+    function processWord(word, options = createFixationOptions()) {
+        const ranges = [];
+        collectWordFixations(word, 0, options, ranges);
+        return getSegments(word, ranges);
+    }
+
+    /**
+     * Transforms plain text into `{ text, bold }` segments
+     */
+    function transformText(text, options = createFixationOptions()) {
+        if (!text) return [];
+        return getSegments(text, getFixationRanges(text, options));
+    }
+
+    // =========================================================================
+    // 3. STABILITY & PROCESSING
+    // =========================================================================
+
+    function isTargetEnabled(id) {
+        return activeTargets.some(target => target.id === id && target.enabled);
+    }
+
+    function getSurfaceSelector(target) {
+        return target.role ? CONFIG.SELECTORS[target.role] : target.selector;
+    }
+
+    function getTargetSelector() {
+        return activeTargets.filter(target => target.enabled).map(getSurfaceSelector).join(', ');
+    }
+
+    /**
+     * The enabled target element (response block, user message...) containing `node`
+     */
+    function getTargetRoot(node) {
+        const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        return element && targetSelector ? element.closest(targetSelector) : null;
+    }
+
+    function getTargetForRoot(root) {
+        return activeTargets.find(target => target.enabled && root.matches(getSurfaceSelector(target))) || null;
+    }
+
+    function queryTargetRoots(root = document) {
+        return targetSelector ? root.querySelectorAll(targetSelector) : [];
+    }
+
+    /**
+     * True if the node is inside an element suspended with `BionicReading.revert()`
+     */
+    function isSuspended(node) {
+        if (!hasSuspendedElements) return false;
+        for (let el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement; el; el = el.parentElement) {
+            if (suspendedElements.has(el)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Structure rules that change anything: skips, or a ratio or algorithm override
+     */
+    function getActiveStructureRules() {
+        return structureRules.filter(rule => rule.action === 'skip' || rule.ratio !== null || rule.mode !== null);
+    }
+
+    function isInlineSkip(rule) {
+        return !!rule.inline && rule.action === 'skip';
+    }
+
+    /**
+     * The structure rule for a node: a skip rule on any ancestor up to `root`
+     * (all of them when null), else the rule of the nearest ancestor with one.
+     * Inline skips are left to the run (`isInlineSkipped`).
+     */
+    function getStructureRule(node, root = null) {
+        if (!structureSelector) return null;
+
+        const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        let nearest = null;
+        for (let el = element && element.closest(structureSelector); el; el = el.parentElement && el.parentElement.closest(structureSelector)) {
+            if (root && !root.contains(el)) break;
+            const rule = activeStructureRules.find(candidate => el.matches(candidate.selector));
+            if (isInlineSkip(rule)) continue;
+            if (rule.action === 'skip') return rule;
+            if (!nearest) nearest = rule;
+        }
+        return nearest;
+    }
+
+    /**
+     * True if a text node sits in a skipped inline element (bold text) below `root`:
+     * it still counts toward the words of its run but gets no fixation
+     */
+    function isInlineSkipped(node, root = null) {
+        for (const rule of activeStructureRules) {
+            if (!isInlineSkip(rule)) continue;
+            const el = node.parentElement && node.parentElement.closest(rule.selector);
+            if (el && (!root || root.contains(el))) return true;
+        }
+        return false;
+    }
+
+    function isStructureSkipped(node) {
+        const rule = getStructureRule(node, getTargetRoot(node));
+        return !!rule && rule.action === 'skip';
+    }
+
+    /**
+     * Fixation options with a structure rule's ratio and algorithm applied
+     */
+    function withStructureRule(options, rule) {
+        if (!rule) return options;
+        return {
+            ...options,
+            ratio: rule.ratio !== null ? rule.ratio : options.ratio,
+            getBoldLength: rule.mode ? FIXATION_STRATEGIES[rule.mode].getBoldLength : options.getBoldLength,
+        };
+    }
+
+    /**
+     * Fixation options for a node: the language of its target root, the
+     * target's own ratio when it has one, and its structure rule
+     */
+    function getNodeFixationOptions(node) {
+        const root = getTargetRoot(node);
+        const target = root && getTargetForRoot(root);
+        const ratio = target && target.ratio !== null ? target.ratio : settings.BOLD_RATIO;
+        return withStructureRule(getFixationOptions(getLanguageProfile(node), ratio), getStructureRule(node, root));
+    }
+
+    function shouldSkipNode(node) {
+        let current = node;
+        let depth = 0;
+
+        while (current && depth < 5) {
+            if (!current.tagName) {
+                current = current.parentNode;
+                depth++;
+                continue;
+            }
+
+            // Skip Ignored Tags
+            if (CONFIG.IGNORE_TAGS.has(current.tagName)) return true;
+            
+            // Skip User Input & Notes
+            if (current.matches(CONFIG.SELECTORS.MESSAGE_INPUT)) return true;
+            if (!isTargetEnabled('notes') && current.matches(CONFIG.SELECTORS.USER_NOTE)) return true;
+            
+            // Skip Editable Areas
+            if (current.contentEditable === 'true') return true;
+
+            // Skip the response toolbar (its reading time label is plain text)
+            if (current.classList.contains('bionic-block-controls')) return true;
+
+            // Skip Already Processed
+            if (current.className && current.className.includes('bionic-text-wrapper')) return true;
+            
+            current = current.parentNode;
+            depth++;
+        }
+
+        // CRITICAL: Skip Active Streaming Cursor, unless text near it can be painted live
+        return !canPaintLive() && isNearCursor(node);
+    }
+
+    /**
+     * True if the streaming cursor is in or next to the node's ancestors
+     */
+    function isNearCursor(node) {
+        let current = node;
+        let depth = 0;
+
+        while (current && depth < 5) {
+            if (current.querySelector && current.querySelector(CONFIG.SELECTORS.CURSOR)) return true;
+            if (current.matches && current.matches(CONFIG.SELECTORS.CURSOR)) return true;
+
+            current = current.parentNode;
+            depth++;
+        }
+        return false;
+    }
+
+    /**
+     * Checks if a node is likely being streamed (last child of last element)
+     */
+    function isStreamingNode(node) {
+        const parent = node.parentNode;
+        if (!parent) return false;
+        
+        // If it's the last child, it might be streaming
+        if (parent.lastChild === node) {
+            // Check if parent is part of a response block
+            const responseBlock = parent.closest(CONFIG.SELECTORS.RESPONSE_BLOCK);
+            if (responseBlock) {
+                // If it's the very last text node in the response block, assume streaming
+                return true; 
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Efficiently manage streaming node updates
+     */
+    function markNodeStreaming(node) {
+        const now = Date.now();
+        nodeLastUpdateMap.set(node, now);
+        activeStreamingNodes.add(node);
+        
+        // Start the check loop if not running
+        if (!stabilityCheckInterval) {
+            stabilityCheckInterval = setInterval(checkStability, 200); // Check every 200ms
+        }
+    }
+
+    /**
+     * Single loop to check all streaming nodes for stability
+     */
+    function checkStability() {
+        if (activeStreamingNodes.size === 0) {
+            clearInterval(stabilityCheckInterval);
+            stabilityCheckInterval = null;
+            return;
+        }
+
+        const now = Date.now();
+        
+        for (const node of activeStreamingNodes) {
+            const lastUpdate = nodeLastUpdateMap.get(node) || 0;
+            
+            // If node has been stable for long enough
+            if (now - lastUpdate >= settings.STREAMING_DEBOUNCE_MS) {
+                // Remove from tracking
+                activeStreamingNodes.delete(node);
+                nodeLastUpdateMap.delete(node);
+                
+                // Queue for processing
+                queueNode(node);
+            }
+        }
+    }
+
+    /**
+     * True if the node is the tail of a response block that changed within the
+     * streaming debounce window
+     */
+    function isStillStreaming(node) {
+        if (activeStreamingNodes.has(node)) return true;
+        if (!isStreamingNode(node)) return false;
+
+        const lastSeen = nodeLastUpdateMap.get(node) || 0;
+        return Date.now() - lastSeen < settings.STREAMING_DEBOUNCE_MS;
+    }
+
+    function isInlineContainer(element) {
+        return CONFIG.INLINE_TAGS.has(element.tagName)
+            && !element.classList.contains('bionic-text-wrapper')
+            && element.contentEditable !== 'true'
+            && !isRunBoundary(element);
+    }
+
+    /**
+     * Ruled elements get their own runs, which is what lets a different rule apply
+     * to them. Skipped inline elements stay in the run around them.
+     */
+    function isRunBoundary(element) {
+        if (!structureSelector || !element.matches(structureSelector)) return false;
+        return activeStructureRules.some(rule => !isInlineSkip(rule) && element.matches(rule.selector));
+    }
+
+    /**
+     * Collects the text nodes of the inline run containing `node`: the text reachable
+     * from it through inline elements (a, em, strong, span...) without crossing a
+     * block, <br>, code or an already processed wrapper. A word split across these
+     * nodes gets a single fixation.
+     */
+    function getInlineRun(node) {
+        let root = node.parentElement;
+        while (root && isInlineContainer(root) && root.parentElement
+            && !(targetSelector && root.matches(targetSelector))) {
+            root = root.parentElement;
+        }
+        if (!root) return [node];
+
+        let run = [];
+        let containsNode = false;
+        let done = false;
+
+        const walk = (parent) => {
+            for (let child = parent.firstChild; child && !done; child = child.nextSibling) {
+                if (child.nodeType === Node.TEXT_NODE) {
+                    run.push(child);
+                    if (child === node) containsNode = true;
+                } else if (child.nodeType === Node.ELEMENT_NODE && isInlineContainer(child)) {
+                    walk(child);
+                } else if (containsNode) {
+                    done = true;
+                } else {
+                    run = [];
+                }
+            }
+        };
+        walk(root);
+
+        return containsNode ? run : [node];
+    }
+
+    function renderTextNode(node, ranges) {
+        const span = document.createElement('span');
+        span.className = 'bionic-text-wrapper';
+        const fragment = renderSegments(getSegments(node.nodeValue, ranges));
+
+        if (settings.SCREEN_READER_TEXT) {
+            // Screen readers get the untouched text as one unit instead of word pieces
+            const visual = document.createElement('span');
+            visual.setAttribute('aria-hidden', 'true');
+            visual.appendChild(fragment);
+            const twin = document.createElement('span');
+            twin.className = 'bionic-sr-only';
+            twin.textContent = node.nodeValue;
+            span.append(visual, twin);
+        } else {
+            span.appendChild(fragment);
+        }
+
+        // Double check parent before replacement
+        if (node.parentNode) {
+            node.parentNode.replaceChild(span, node);
+            wrapperOriginals.set(span, node);
+            processedNodes.add(span);
+            // Cleanup from tracking if it was there
+            activeStreamingNodes.delete(node);
+        }
+    }
+
+    function supportsHighlights() {
+        return typeof CSS !== 'undefined' && !!CSS.highlights
+            && typeof Highlight === 'function' && typeof Range === 'function';
+    }
+
+    /**
+     * True when fixations are painted with the CSS Custom Highlight API instead
+     * of <b> wrappers. Falls back to spans when the browser lacks the API.
+     */
+    function usesHighlights() {
+        if (settings.RENDER_MODE !== 'highlight') return false;
+        if (supportsHighlights()) return true;
+
+        if (!highlightFallbackLogged) {
+            highlightFallbackLogged = true;
+            logger.warn('CSS Custom Highlight API unavailable, falling back to span rendering');
+        }
+        return false;
+    }
+
+    function clearNodeHighlights(node) {
+        const ranges = highlightRanges.get(node);
+        if (!ranges) return;
+
+        for (const range of ranges) {
+            bionicHighlight.delete(range);
+        }
+        highlightRanges.delete(node);
+    }
+
+    function paintTextNode(node, ranges) {
+        clearNodeHighlights(node);
+        if (ranges.length === 0) return;
+
+        if (!bionicHighlight) {
+            bionicHighlight = new Highlight();
+            CSS.highlights.set(CONFIG.HIGHLIGHT_NAME, bionicHighlight);
+        }
+
+        const painted = ranges.map(([start, end]) => {
+            const range = new Range();
+            range.setStart(node, start);
+            range.setEnd(node, end);
+            bionicHighlight.add(range);
+            return range;
+        });
+        highlightRanges.set(node, painted);
+    }
+
+    /**
+     * Drops ranges whose text node has left the document
+     */
+    function pruneHighlights() {
+        highlightsNeedPrune = false;
+        if (!bionicHighlight) return;
+
+        for (const range of bionicHighlight) {
+            if (!range.startContainer.isConnected) {
+                bionicHighlight.delete(range);
+                highlightRanges.delete(range.startContainer);
+            }
+        }
+    }
+
+    function clearAllHighlights() {
+        if (!bionicHighlight) return;
+
+        for (const range of bionicHighlight) {
+            processedNodes.delete(range.startContainer);
+        }
+        bionicHighlight.clear();
+        highlightRanges = new WeakMap();
+        liveRunState = new WeakMap();
+    }
+
+    /**
+     * True when streaming text can be formatted as it arrives. Live fixations are
+     * painted as highlights (in span mode too) because wrapping a node React is
+     * still writing to would break the stream.
+     */
+    function canPaintLive() {
+        if (!supportsHighlights()) return false;
+        return settings.RENDER_MODE === 'highlight' || settings.LIVE_STREAMING;
+    }
+
+    /**
+     * Calls fn(node, localRanges) for each text node of a run, with the run-level
+     * ranges clipped to that node's own offsets. Inline-skipped nodes get none.
+     */
+    function forEachRunNode(run, ranges, fn) {
+        const root = run.length > 0 ? getTargetRoot(run[0]) : null;
+        let offset = 0;
+        let r = 0;
+        for (const textNode of run) {
+            const start = offset;
+            const end = offset + textNode.nodeValue.length;
+            offset = end;
+
+            const local = [];
+            if (isInlineSkipped(textNode, root)) {
+                fn(textNode, local);
+                continue;
+            }
+            while (r < ranges.length && ranges[r][1] <= start) r++;
+            for (let i = r; i < ranges.length && ranges[i][0] < end; i++) {
+                local.push([Math.max(ranges[i][0], start) - start, Math.min(ranges[i][1], end) - start]);
+            }
+            fn(textNode, local);
+        }
+    }
+
+    /**
+     * Computes fixations on the joined text of an inline run and places each
+     * range in the text node(s) it falls in
+     */
+    function processInlineRun(run, options) {
+        const highlightMode = usesHighlights();
+        const text = run.map(textNode => textNode.nodeValue).join('');
+        const ranges = getFixationRanges(text, options);
+
+        forEachRunNode(run, ranges, (textNode, local) => {
+            processedNodes.add(textNode);
+            liveRunState.delete(textNode);
+            if (highlightMode) {
+                paintTextNode(textNode, local);
+            } else {
+                clearNodeHighlights(textNode);
+                if (local.length > 0) renderTextNode(textNode, local);
+            }
+        });
+    }
+
+    /**
+     * Formats the completed words of a run that is still streaming: everything
+     * before the last whitespace, leaving the trailing partial word alone. Only
+     * text added since the previous call goes through the fixation algorithm;
+     * if the text was rewritten instead of extended, the run starts over.
+     */
+    function paintLiveRun(node, run) {
+        const text = run.map(textNode => textNode.nodeValue).join('');
+        const boundary = text.search(/\S*$/);
+
+        let state = liveRunState.get(node);
+        if (!state || !text.startsWith(state.prefix)) {
+            state = { prefix: '', ranges: [], context: getNodeFixationOptions(node) };
+            liveRunState.set(node, state);
+        }
+
+        if (boundary > state.prefix.length) {
+            const added = text.slice(state.prefix.length, boundary);
+            collectTextFixations(added, state.prefix.length, state.context, state.ranges);
+            state.prefix = text.slice(0, boundary);
+        }
+
+        // Assigning nodeValue collapses existing ranges, so the run is repainted
+        forEachRunNode(run, state.ranges, paintTextNode);
+    }
+
+    /**
+     * Formats a text node's inline run. Returns true when the run was rendered.
+     */
+    function processTextNode(node) {
+        if (!node || !node.isConnected || processedNodes.has(node)) return false;
+        
+        try {
+            const text = node.nodeValue;
+            if (!text || REGEX.WHITESPACE.test(text)) {
+                processedNodes.add(node);
+                return false;
+            }
+            
+            if (shouldSkipNode(node.parentNode) || isSuspended(node)) return false;
+            if (isStructureSkipped(node)) {
+                processedNodes.add(node);
+                return false;
+            }
+
+            // STABILITY CHECK: If any node of the run seems to be streaming, debounce it.
+            // The whole run is processed once that node settles and is re-queued;
+            // until then its completed words are painted live when possible.
+            const run = getInlineRun(node);
+            let streamingNode = run.find(isStillStreaming);
+            // Spans can't go next to the cursor yet: paint live until it moves on
+            if (!streamingNode && !usesHighlights() && isNearCursor(node.parentNode)) {
+                streamingNode = node;
+            }
+            if (streamingNode) {
+                markNodeStreaming(streamingNode);
+                if (canPaintLive()) paintLiveRun(streamingNode, run);
+                return false;
+            }
+
+            processInlineRun(run, getNodeFixationOptions(node));
+            return true;
+        } catch (e) {
+            logger.error('Error processing node:', e);
+        }
+        return false;
+    }
+
+    /**
+     * 'visible' for nodes inside a block that is currently observed (on screen),
+     * 'offscreen' for everything else
+     */
+    function getQueueLane(node) {
+        if (focusContent && focusContent.contains(node)) return 'visible';
+        const root = getTargetRoot(node);
+        return root && observedBlocks.has(root) ? 'visible' : 'offscreen';
+    }
+
+    function getQueueDepth() {
+        return pendingQueues.visible.length + pendingQueues.offscreen.length;
+    }
+
+    function clearQueues() {
+        pendingQueues.visible = [];
+        pendingQueues.offscreen = [];
+        queuedNodes = new WeakSet();
+    }
+
+    /**
+     * Processes nodes from the front of a lane while `hasTime()` allows, at least
+     * one per call so the queue always moves. Visible-lane nodes whose block went
+     * off screen meanwhile move to the offscreen lane.
+     */
+    function drainQueue(lane, hasTime, processedRoots) {
+        const queue = pendingQueues[lane];
+        let i = 0;
+        do {
+            const node = queue[i++];
+            queuedNodes.delete(node);
+
+            if (lane === 'visible' && node.isConnected && getQueueLane(node) === 'offscreen') {
+                queuedNodes.add(node);
+                pendingQueues.offscreen.push(node);
+                continue;
+            }
+
+            const parent = node.parentElement;
+            if (processTextNode(node) && parent) {
+                processedRoots.add(getTargetRoot(parent) || parent);
+                lifecycleStats.formattedNodes++;
+            }
+        } while (i < queue.length && hasTime());
+        queue.splice(0, i);
+    }
+
+    function emitProcessed(processedRoots) {
+        if (processedRoots.size > 0) {
+            emitEvent('processed', { elements: Array.from(processedRoots) });
+        }
+    }
+
+    /**
+     * Animation frame slot: visible nodes for up to FRAME_BUDGET_MS
+     */
+    function processFrame() {
+        frameScheduled = false;
+        if (!isEnabled) {
+            clearQueues();
+            return;
+        }
+
+        const start = performance.now();
+        const deadline = start + settings.FRAME_BUDGET_MS;
+        const processedRoots = new Set();
+
+        if (highlightsNeedPrune) pruneHighlights();
+        if (pendingQueues.visible.length > 0) {
+            drainQueue('visible', () => performance.now() < deadline, processedRoots);
+        }
+
+        const elapsed = performance.now() - start;
+        schedulerStats.frames++;
+        schedulerStats.lastFrameMs = elapsed;
+        schedulerStats.totalFrameMs += elapsed;
+        schedulerStats.maxFrameMs = Math.max(schedulerStats.maxFrameMs, elapsed);
+        if (elapsed > settings.FRAME_BUDGET_MS) schedulerStats.overBudgetFrames++;
+
+        emitProcessed(processedRoots);
+        scheduleProcessing();
+    }
+
+    /**
+     * Idle slot: offscreen nodes while the browser reports idle time, or for one
+     * frame budget when IDLE_TIMEOUT_MS forced the callback
+     */
+    function processIdle(idleDeadline) {
+        idleScheduled = false;
+        if (!isEnabled) {
+            clearQueues();
+            return;
+        }
+
+        const end = performance.now() + settings.FRAME_BUDGET_MS;
+        const hasTime = idleDeadline && !idleDeadline.didTimeout
+            ? () => idleDeadline.timeRemaining() > 0
+            : () => performance.now() < end;
+        const processedRoots = new Set();
+
+        if (pendingQueues.offscreen.length > 0) {
+            schedulerStats.idleRuns++;
+            drainQueue('offscreen', hasTime, processedRoots);
+        }
+
+        emitProcessed(processedRoots);
+        scheduleProcessing();
+    }
+
+    function scheduleProcessing() {
+        if (pendingQueues.visible.length > 0 && !frameScheduled) {
+            frameScheduled = true;
+            requestAnimationFrame(processFrame);
+        }
+        if (pendingQueues.offscreen.length > 0 && !idleScheduled) {
+            idleScheduled = true;
+            if (typeof requestIdleCallback === 'function') {
+                requestIdleCallback(processIdle, { timeout: CONFIG.IDLE_TIMEOUT_MS });
+            } else {
+                setTimeout(() => processIdle(null), 50);
+            }
+        }
+    }
+
+    function queueNode(node) {
+        if (queuedNodes.has(node)) return;
+        queuedNodes.add(node);
+        pendingQueues[getQueueLane(node)].push(node);
+        schedulerStats.peakQueue = Math.max(schedulerStats.peakQueue, getQueueDepth());
+        scheduleProcessing();
+    }
+
+    function processElement(element) {
+        if (!element || shouldSkipNode(element) || isSuspended(element)) return;
+
+        const block = element.closest(CONFIG.SELECTORS.RESPONSE_BLOCK);
+        if (block && !checkBlockRules(block)) return;
+        
+        const walker = document.createTreeWalker(
+            element,
+            NodeFilter.SHOW_TEXT,
+            {
+                acceptNode: function(node) {
+                    if (!node.nodeValue || REGEX.WHITESPACE.test(node.nodeValue)) {
+                        return NodeFilter.FILTER_REJECT;
+                    }
+                    return NodeFilter.FILTER_ACCEPT;
+                }
+            }
+        );
+        
+        let node;
+        while (node = walker.nextNode()) {
+            queueNode(node);
+        }
+    }
+
+    // =========================================================================
+    // 3.1 ENABLE RULES
+    // =========================================================================
+
+    /**
+     * Text of an element as the reader sees it: without screen reader twins
+     * and without the extension's own controls
+     */
+    function getPlainText(element) {
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+            acceptNode: (node) => node.parentElement && node.parentElement.closest('.bionic-sr-only, .bionic-block-controls')
+                ? NodeFilter.FILTER_REJECT
+                : NodeFilter.FILTER_ACCEPT,
+        });
+        let text = '';
+        let node;
+        while (node = walker.nextNode()) text += node.nodeValue;
+        return text;
+    }
+
+    function readText(selector) {
+        const element = document.querySelector(selector);
+        return element ? element.textContent.trim() : '';
+    }
+
+    /**
+     * Current chat ID from TypingMind's URL (#chat=<id>, ?chat=<id> or /chat/<id>)
+     */
+    function getCurrentChatId() {
+        const hash = new URLSearchParams(location.hash.replace(/^#/, ''));
+        const search = new URLSearchParams(location.search);
+        const path = location.pathname.match(/\/chat\/([^/]+)/);
+        return hash.get('chat') || search.get('chat') || (path ? decodeURIComponent(path[1]) : '');
+    }
+
+    /**
+     * What the rules can match on: chat, model and agent are read from the page,
+     * the response length only when a rule asks for it
+     */
+    function getRuleContext(block) {
+        let chars = null;
+        return {
+            chatId: getCurrentChatId(),
+            model: readText(CONFIG.SELECTORS.MODEL_NAME),
+            agent: readText(CONFIG.SELECTORS.AGENT_NAME),
+            getChars: () => (chars === null ? (chars = block ? getPlainText(block).length : 0) : chars),
+        };
+    }
+
+    function includesIgnoreCase(value, search) {
+        return value.toLowerCase().includes(search.toLowerCase());
+    }
+
+    function ruleMatches(rule, context) {
+        if (rule.chatId && rule.chatId !== context.chatId) return false;
+        if (rule.model && !includesIgnoreCase(context.model, rule.model)) return false;
+        if (rule.agent && !includesIgnoreCase(context.agent, rule.agent)) return false;
+        if (rule.minChars !== undefined && context.getChars() < rule.minChars) return false;
+        if (rule.maxChars !== undefined && context.getChars() > rule.maxChars) return false;
+        return true;
+    }
+
+    /**
+     * Whether a response block may be formatted. The first matching rule decides;
+     * without a match the block follows the global toggle.
+     */
+    function isBlockAllowed(block) {
+        if (blockOverrides.has(block)) return blockOverrides.get(block);
+        if (enableRules.length === 0) return true;
+
+        const context = getRuleContext(block);
+        const rule = enableRules.find(candidate => ruleMatches(candidate, context));
+        return !rule || rule.action === 'enable';
+    }
+
+    /**
+     * Re-checks the rules for a block. A block that stops matching (it grew past
+     * maxChars, or the chat changed) has its formatting reverted; one that starts
+     * matching (it grew past minChars) is formatted from its current text, since
+     * the text that arrived before was never queued.
+     */
+    function checkBlockRules(block) {
+        const allowed = isBlockAllowed(block);
+        const previous = blockRuleDecisions.get(block);
+        if (!allowed && previous !== false) {
+            logger.log('Rules disabled formatting for a response block');
+            revertElement(block);
+        }
+        blockRuleDecisions.set(block, allowed);
+        if (allowed && previous === false) {
+            logger.log('Rules enabled formatting for a response block');
+            processElement(block);
+        }
+        if (previous !== allowed) updateBlockToggle(block);
+        return allowed;
+    }
+
+    /**
+     * Turns formatting on or off for one response from its toolbar. The choice
+     * wins over the enable rules until the page is reloaded.
+     */
+    function setBlockEnabled(block, enabled) {
+        blockOverrides.set(block, enabled);
+        if (enabled) processElement(block);
+        else checkBlockRules(block);
+        updateBlockToggle(block);
+    }
+
+    /**
+     * Updates one surface's enabled flag or ratio and re-observes the page with
+     * the new selector list
+     */
+    function updateTarget(id, patch) {
+        const target = activeTargets.find(candidate => candidate.id === id);
+        if (!target) return;
+
+        if ('enabled' in patch) target.enabled = !!patch.enabled;
+        if ('ratio' in patch) {
+            const ratio = sanitizeSetting('BOLD_RATIO', patch.ratio);
+            target.ratio = ratio === undefined ? null : ratio;
+        }
+        saveTargets();
+        targetSelector = getTargetSelector();
+
+        if (isEnabled) {
+            disconnectObservers();
+            reprocessAll();
+            setupGlobalObserver();
+        }
+    }
+
+    function setRules(rules) {
+        enableRules = rules.map(sanitizeRule).filter(Boolean);
+        saveRules();
+        blockRuleDecisions = new WeakMap();
+        if (isEnabled) reprocessAll();
+    }
+
+    /**
+     * Updates one structure rule's action, ratio or algorithm and reprocesses
+     */
+    function updateStructureRule(id, patch) {
+        const rule = structureRules.find(candidate => candidate.id === id);
+        if (!rule) return;
+
+        if (patch.action === 'format' || patch.action === 'skip') rule.action = patch.action;
+        if ('ratio' in patch) {
+            const ratio = sanitizeSetting('BOLD_RATIO', patch.ratio);
+            rule.ratio = ratio === undefined ? null : ratio;
+        }
+        if ('mode' in patch) rule.mode = FIXATION_STRATEGIES[patch.mode] ? patch.mode : null;
+        saveStructureRules();
+        activeStructureRules = getActiveStructureRules();
+        structureSelector = activeStructureRules.map(candidate => candidate.selector).join(', ');
+
+        if (isEnabled) reprocessAll();
+    }
+
+    /**
+     * Replaces the skip rule switches and custom patterns and reformats with the
+     * new classifier
+     */
+    function setSkipRules(config) {
+        skipRuleConfig = sanitizeSkipRules(config);
+        saveSkipRules();
+        tokenClassifier = createTokenClassifier(skipRuleConfig);
+        if (isEnabled) reprocessAll();
+    }
+
+    // =========================================================================
+    // 4. OBSERVERS & EVENTS
+    // =========================================================================
+
+    function injectStyles() {
+        if (styleElement) return;
+
+        const targets = activeTargets.filter(target => target.enabled).map(getSurfaceSelector);
+        const within = (suffix) => targets.map(selector => `${selector} ${suffix}`).join(', ');
+
+        let css = '';
+        if (settings.FONT_FAMILY && targets.length > 0) {
+            css += `
+            ${targets.join(', ')} {
+                font-family: ${settings.FONT_FAMILY} !important;
+            }
+            ${within('pre')}, 
+            ${within('code')} {
+                font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", "Courier New", monospace !important;
+            }
+        `;
+        }
+        if (targets.length > 0 && (settings.LETTER_SPACING > 0 || settings.LINE_HEIGHT > 0)) {
+            css += getSpacingCss(targets, within);
+        }
+        css += getFixationStyleCss();
+        if (settings.SCREEN_READER_TEXT && !usesHighlights()) {
+            css += `
+            .bionic-sr-only {
+                position: absolute !important;
+                width: 1px !important;
+                height: 1px !important;
+                padding: 0 !important;
+                margin: -1px !important;
+                overflow: hidden !important;
+                clip: rect(0, 0, 0, 0) !important;
+                white-space: nowrap !important;
+                border: 0 !important;
+                user-select: none;
+            }
+        `;
+        }
+        if (!css) return;
+
+        styleElement = document.createElement('style');
+        styleElement.id = 'bionic-reading-styles';
+        styleElement.textContent = css;
+        document.head.appendChild(styleElement);
+    }
+
+    /**
+     * Dyslexia-friendly spacing on the enabled targets (code keeps its own)
+     */
+    function getSpacingCss(targets, within) {
+        const text = [...targets, within('p'), within('li')].join(', ');
+        const rules = [];
+        if (settings.LETTER_SPACING > 0) rules.push(`letter-spacing: ${settings.LETTER_SPACING}em !important;`);
+        if (settings.LINE_HEIGHT > 0) rules.push(`line-height: ${settings.LINE_HEIGHT} !important;`);
+        return `
+            ${text} {
+                ${rules.join('\n                ')}
+            }
+            ${within('pre')}, 
+            ${within('code')} {
+                letter-spacing: normal !important;
+            }
+        `;
+    }
+
+    /**
+     * Fixation rules of the active STYLE_PRESETS entry for spans and highlights,
+     * with the dark theme values scoped under SELECTORS.DARK_THEME
+     */
+    function getFixationStyleCss() {
+        const preset = STYLE_PRESETS[settings.FIXATION_STYLE] || STYLE_PRESETS.bold;
+        const highlight = `::highlight(${CONFIG.HIGHLIGHT_NAME})`;
+        const rules = [];
+        const addRule = (selector, declarations) => {
+            if (declarations) rules.push(`${selector} { ${declarations} }`);
+        };
+
+        for (const theme of ['light', 'dark']) {
+            const scope = theme === 'dark' ? `${CONFIG.SELECTORS.DARK_THEME} ` : '';
+            const color = preset.color ? `color: ${preset.color[theme]};` : '';
+
+            if (!usesHighlights()) {
+                let fixation = color;
+                if (theme === 'light' && preset.weight) fixation += ` font-weight: ${preset.weight};`;
+                if (theme === 'light' && preset.decoration) fixation += ` text-decoration: ${preset.decoration}; text-underline-offset: 0.15em;`;
+                addRule(`${scope}.bionic-text-wrapper b`, fixation.trim());
+                if (preset.rest) addRule(`${scope}.bionic-text-wrapper`, `color: ${preset.rest[theme]};`);
+            }
+
+            if (canPaintLive()) {
+                // ::highlight() can't change font-weight; a hairline text-shadow thickens the glyphs instead
+                let fixation = color;
+                if (theme === 'light' && preset.weight !== 'inherit') {
+                    fixation += ' text-shadow: 0.35px 0 0 currentColor, -0.35px 0 0 currentColor, 0 0 0.35px currentColor;';
+                }
+                if (theme === 'light' && preset.decoration) fixation += ` text-decoration: ${preset.decoration};`;
+                addRule(`${scope}${highlight}`, fixation.trim());
+            }
+        }
+
+        // Links keep their own color
+        if (preset.rest && !usesHighlights()) addRule('a .bionic-text-wrapper, a .bionic-text-wrapper b', 'color: inherit;');
+
+        return rules.map(rule => `\n            ${rule}`).join('');
+    }
+
+    function removeStyles() {
+        if (styleElement) {
+            styleElement.remove();
+            styleElement = null;
+        }
+    }
+
+    /**
+     * Puts the original text node back in place of a wrapper. React keeps
+     * references to its text nodes, so the exact node object is restored.
+     */
+    function revertWrapper(span) {
+        if (!span.parentNode) return;
+
+        const original = wrapperOriginals.get(span) || document.createTextNode(span.textContent);
+        span.parentNode.replaceChild(original, span);
+        wrapperOriginals.delete(span);
+        processedNodes.delete(original);
+    }
+
+    /**
+     * Reverts the wrappers and highlights inside one element
+     */
+    function revertElement(element) {
+        const wrappers = element.querySelectorAll('.bionic-text-wrapper');
+        for (let i = 0; i < wrappers.length; i++) {
+            revertWrapper(wrappers[i]);
+        }
+
+        if (!bionicHighlight) return;
+        for (const range of bionicHighlight) {
+            const node = range.startContainer;
+            if (element.contains(node)) {
+                clearNodeHighlights(node);
+                processedNodes.delete(node);
+                liveRunState.delete(node);
+            }
+        }
+    }
+
+    function revertAllProcessing() {
+        const wrappers = document.querySelectorAll('.bionic-text-wrapper');
+        for (let i = 0; i < wrappers.length; i++) {
+            revertWrapper(wrappers[i]);
+        }
+        clearAllHighlights();
+        removeStyles();
+    }
+
+    /**
+     * Processes the blocks currently in view and the focus mode copy. The others
+     * are processed by the intersection observer when they scroll in.
+     */
+    function processExistingContent() {
+        observedBlocks.forEach(block => processElement(block));
+        if (focusContent) processElement(focusContent);
+    }
+
+    /**
+     * Watches one target element (a response block or another enabled surface)
+     * for added nodes and streaming text updates while it is in view
+     */
+    function observeResponseBlock(block) {
+        if (blockObservers.has(block)) return;
+        if (block.matches(CONFIG.SELECTORS.RESPONSE_BLOCK)) addBlockControls(block);
+
+        const blockObserver = new MutationObserver((mutations) => {
+            if (!isEnabled || !checkBlockRules(block)) return;
+
+            for (const mutation of mutations) {
+                if (mutation.type === 'childList') {
+                    if (mutation.removedNodes.length > 0 && bionicHighlight) {
+                        highlightsNeedPrune = true;
+                    }
+                    for (let i = 0; i < mutation.addedNodes.length; i++) {
+                        const node = mutation.addedNodes[i];
+                        
+                        if (node.nodeType === Node.TEXT_NODE) {
+                            queueNode(node);
+                        } else if (node.nodeType === Node.ELEMENT_NODE) {
+                            processElement(node);
+                        }
+                    }
+                }
+                // Handle text updates (streaming)
+                else if (mutation.type === 'characterData') {
+                    // Update timestamp for this node; its run gets a full pass once it settles
+                    markNodeStreaming(mutation.target);
+                    processedNodes.delete(mutation.target);
+                    if (canPaintLive()) queueNode(mutation.target);
+                }
+            }
+        });
+
+        blockObserver.observe(block, {
+            childList: true,
+            subtree: true,
+            characterData: true // Needed to detect streaming updates
+        });
+
+        blockObservers.set(block, blockObserver);
+        observedBlocks.add(block);
+        lifecycleStats.attached++;
+        logger.log(`Observing block (${observedBlocks.size} observed)`);
+    }
+
+    /**
+     * Disconnects the observer of a block that scrolled out of view ('offscreen')
+     * or left the DOM ('removed'). Its formatting stays in place; an offscreen
+     * block is observed and caught up again when it comes back into view.
+     */
+    function releaseBlock(block, reason) {
+        const blockObserver = blockObservers.get(block);
+        if (!blockObserver) return;
+
+        blockObserver.disconnect();
+        blockObservers.delete(block);
+        observedBlocks.delete(block);
+        if (reason === 'removed') lifecycleStats.releasedRemoved++;
+        else lifecycleStats.releasedOffscreen++;
+        logger.log(`Released ${reason} block (${observedBlocks.size} observed)`);
+    }
+
+    /**
+     * Cleans up after TypingMind unmounts messages (chat switch, list virtualization):
+     * stops watching removed targets, takes their toolbars and forgets queued or
+     * streaming nodes that went with them
+     */
+    function releaseRemovedNodes(removedNodes) {
+        for (const node of removedNodes) {
+            if (node.nodeType !== Node.ELEMENT_NODE || node.isConnected || !targetSelector) continue;
+            // React may have moved the node; only unobserve what is really gone
+            const blocks = [...node.querySelectorAll(targetSelector)];
+            if (node.matches(targetSelector)) blocks.push(node);
+            for (const block of blocks) {
+                intersectionObserver.unobserve(block);
+                removeBlockHost(block);
+            }
+        }
+
+        for (const block of observedBlocks) {
+            if (!block.isConnected) releaseBlock(block, 'removed');
+        }
+
+        for (const lane of Object.keys(pendingQueues)) {
+            const queue = pendingQueues[lane];
+            pendingQueues[lane] = queue.filter(node => node.isConnected);
+            lifecycleStats.droppedNodes += queue.length - pendingQueues[lane].length;
+        }
+        for (const node of activeStreamingNodes) {
+            if (!node.isConnected) {
+                activeStreamingNodes.delete(node);
+                lifecycleStats.droppedNodes++;
+            }
+        }
+
+        if (bionicHighlight) highlightsNeedPrune = true;
+    }
+
+    /**
+     * Lifecycle and scheduler counters for debugging long chats
+     */
+    function getDebugStats() {
+        const { totalFrameMs, ...scheduler } = schedulerStats;
+        return {
+            observedBlocks: observedBlocks.size,
+            visibleQueue: pendingQueues.visible.length,
+            offscreenQueue: pendingQueues.offscreen.length,
+            streamingNodes: activeStreamingNodes.size,
+            ...lifecycleStats,
+            ...scheduler,
+            avgFrameMs: schedulerStats.frames > 0 ? totalFrameMs / schedulerStats.frames : 0,
+        };
+    }
+
+    function setupGlobalObserver() {
+        if (observer) observer.disconnect();
+
+        intersectionObserver = new IntersectionObserver((entries) => {
+            if (!isEnabled) return;
+
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    observeResponseBlock(entry.target);
+                    processElement(entry.target);
+                } else {
+                    releaseBlock(entry.target, 'offscreen');
+                }
+            });
+            scheduleProgressUpdate();
+        }, { rootMargin: '100px' });
+
+        const existingBlocks = queryTargetRoots();
+        existingBlocks.forEach(block => intersectionObserver.observe(block));
+
+        observer = new MutationObserver((mutations) => {
+            if (!isEnabled) return;
+
+            const removedNodes = [];
+            for (const mutation of mutations) {
+                if (mutation.type === 'childList') {
+                    removedNodes.push(...mutation.removedNodes);
+                    for (let i = 0; i < mutation.addedNodes.length; i++) {
+                        const node = mutation.addedNodes[i];
+                        if (node.nodeType === Node.ELEMENT_NODE) {
+                            if (!targetSelector) continue;
+                            if (node.matches && node.matches(targetSelector)) {
+                                intersectionObserver.observe(node);
+                            }
+                            const blocks = node.querySelectorAll?.(targetSelector);
+                            if (blocks) {
+                                blocks.forEach(block => intersectionObserver.observe(block));
+                            }
+                        }
+                    }
+                }
+            }
+            if (removedNodes.length > 0) releaseRemovedNodes(removedNodes);
+        });
+
+        observer.observe(document.body, {
+            childList: true,
+            subtree: true,
+        });
+    }
+
+    function disconnectObservers() {
+        if (observer) {
+            observer.disconnect();
+            observer = null;
+        }
+        if (intersectionObserver) {
+            intersectionObserver.disconnect();
+            intersectionObserver = null;
+        }
+        if (stabilityCheckInterval) {
+            clearInterval(stabilityCheckInterval);
+            stabilityCheckInterval = null;
+        }
+        activeStreamingNodes.clear();
+        
+        observedBlocks.forEach(block => blockObservers.get(block).disconnect());
+        observedBlocks.clear();
+        blockObservers = new WeakMap();
+    }
+
+    /**
+     * Dispatches a `bionic:<name>` CustomEvent on document for other extensions
+     */
+    function emitEvent(name, detail = {}) {
+        try {
+            document.dispatchEvent(new CustomEvent(`bionic:${name}`, { detail }));
+        } catch (e) {
+            logger.error(`Error in a bionic:${name} listener:`, e);
+        }
+    }
+
+    function showToast(message) {
+        const existing = document.getElementById('bionic-reading-toast');
+        if (existing) existing.remove();
+
+        const reduceMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+        const toast = document.createElement('div');
+        toast.id = 'bionic-reading-toast';
+        toast.setAttribute('role', 'status');
+        toast.setAttribute('aria-live', 'polite');
+        toast.style.cssText = `
+            position: fixed;
+            bottom: 24px;
+            right: 24px;
+            background: #1f2937;
+            color: #f3f4f6;
+            padding: 12px 20px;
+            border-radius: 8px;
+            z-index: 99999;
+            font-family: system-ui, -apple-system, sans-serif;
+            font-size: 14px;
+            font-weight: 500;
+            box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1);
+            border: 1px solid #374151;
+            opacity: 0;
+            transform: translateY(10px);
+            transition: opacity 0.3s, transform 0.3s;
+        `;
+        if (reduceMotion) {
+            toast.style.transform = 'none';
+            toast.style.transition = 'none';
+        }
+
+        document.body.appendChild(toast);
+        // The live region is in the page before its text, so screen readers announce it
+        requestAnimationFrame(() => {
+            toast.textContent = message;
+            toast.style.opacity = '1';
+            if (!reduceMotion) toast.style.transform = 'translateY(0)';
+        });
+
+        setTimeout(() => {
+            if (reduceMotion) {
+                toast.remove();
+                return;
+            }
+            toast.style.opacity = '0';
+            toast.style.transform = 'translateY(10px)';
+            setTimeout(() => toast.remove(), 300);
+        }, 2000);
+    }
+
+    function toggleExtension() {
+        isEnabled = !isEnabled;
+        settingsStore.enabled = isEnabled;
+        saveSettingsStore();
+
+        if (isEnabled) {
+            showToast('📖 Bionic Reading: ON');
+            injectStyles();
+            setupGlobalObserver();
+            processExistingContent();
+        } else {
+            showToast('📖 Bionic Reading: OFF');
+            disconnectObservers();
+            closeFocusMode();
+            stopReadAloud();
+            revertAllProcessing();
+            removeBlockControls();
+            clearQueues();
+        }
+
+        const panelToggle = document.querySelector('#bionic-reading-settings-panel input[name="enabled"]');
+        if (panelToggle) panelToggle.checked = isEnabled;
+
+        emitEvent(isEnabled ? 'enabled' : 'disabled');
+    }
+
+    /**
+     * Applies a partial settings update, persists it and re-runs processing
+     * when an output-affecting value changed. Returns the keys that changed.
+     */
+    function updateSettings(partial) {
+        const changed = [];
+        for (const key of Object.keys(partial)) {
+            const value = sanitizeSetting(key, partial[key]);
+            if (value === undefined || settings[key] === value) continue;
+            settings[key] = value;
+            changed.push(key);
+        }
+        if (changed.length === 0) return changed;
+
+        saveSettings();
+        logger.log('Settings updated:', changed);
+
+        if (changed.includes('SHOW_SETTINGS_BUTTON')) {
+            renderSettingsButton();
+        }
+        if (changed.includes('FONT_FAMILY') || changed.some(key => SETTINGS_SCHEMA[key].focus)) {
+            applyFocusLayout();
+        }
+        if (changed.some(key => SETTINGS_SCHEMA[key].progress)) {
+            refreshReadingProgress();
+        }
+        if (changed.includes('SPEECH_RATE') && readAloud) {
+            // Utterances can't change speed once started; a paused one restarts on Play
+            if (readAloud.paused) readAloud.restartOnPlay = true;
+            else speakFrom(readAloud.wordStart);
+        }
+        if (isEnabled && changed.some(key => SETTINGS_SCHEMA[key].reprocess)) {
+            reprocessAll();
+        } else if (isEnabled && changed.some(key => SETTINGS_SCHEMA[key].restyle)) {
+            removeStyles();
+            injectStyles();
+        }
+        return changed;
+    }
+
+    /**
+     * Reverts every wrapper and processes the page again with the current settings
+     */
+    function reprocessAll() {
+        clearQueues();
+        revertAllProcessing();
+        processedNodes = new WeakSet();
+        blockLanguageCache = new WeakMap();
+        blockRuleDecisions = new WeakMap();
+        injectStyles();
+        processExistingContent();
+    }
+
+    function resetSettings() {
+        const defaults = {};
+        for (const key of Object.keys(SETTINGS_SCHEMA)) {
+            defaults[key] = USER_SETTINGS[key];
+        }
+        return updateSettings(defaults);
+    }
+
+    // Elements that start a new line when copied content is turned into plain text
+    const COPY_BLOCK_TAGS = new Set(['P', 'DIV', 'LI', 'UL', 'OL', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'PRE', 'BLOCKQUOTE', 'TR', 'TABLE', 'SECTION', 'HR']);
+
+    /**
+     * Removes the zero-width joiners getSegments adds around a bold cut in Arabic words
+     */
+    function stripJoiners(text) {
+        return text.replace(/(\p{Script=Arabic})\u200D\u200D(?=\p{Script=Arabic})/gu, '$1');
+    }
+
+    function fragmentToText(node, inPre = false) {
+        let text = '';
+        for (const child of node.childNodes) {
+            if (child.nodeType === Node.TEXT_NODE) {
+                text += inPre ? child.nodeValue : child.nodeValue.replace(/\s+/g, ' ');
+            } else if (child.nodeType === Node.ELEMENT_NODE) {
+                if (child.tagName === 'BR') {
+                    text += '\n';
+                    continue;
+                }
+                const isBlock = COPY_BLOCK_TAGS.has(child.tagName);
+                if (isBlock && text && !text.endsWith('\n')) text += '\n';
+                text += fragmentToText(child, inPre || child.tagName === 'PRE');
+                if (isBlock) text += '\n';
+            }
+        }
+        return text;
+    }
+
+    /**
+     * Copy handler: when the selection covers formatted text, puts the plain
+     * text and the original markup (without fixation <b>s or screen reader
+     * twins) on the clipboard
+     */
+    function handleCopy(e) {
+        const selection = window.getSelection();
+        if (!selection || selection.isCollapsed || !e.clipboardData) return;
+
+        const container = document.createElement('div');
+        let touchesBionic = false;
+        for (let i = 0; i < selection.rangeCount; i++) {
+            const range = selection.getRangeAt(i);
+            const ancestor = range.commonAncestorContainer;
+            const ancestorElement = ancestor.nodeType === Node.ELEMENT_NODE ? ancestor : ancestor.parentElement;
+            const fragment = range.cloneContents();
+
+            if (ancestorElement && ancestorElement.closest('.bionic-text-wrapper')) {
+                // Selection inside one wrapper: only pieces of its visual part were cloned
+                fragment.querySelectorAll('.bionic-sr-only').forEach(twin => twin.remove());
+                container.appendChild(document.createTextNode(stripJoiners(fragment.textContent)));
+                touchesBionic = true;
+                continue;
+            }
+
+            fragment.querySelectorAll('.bionic-sr-only, .bionic-block-controls, .bionic-progress').forEach(el => el.remove());
+            fragment.querySelectorAll('.bionic-text-wrapper').forEach(wrapper => {
+                wrapper.replaceWith(document.createTextNode(stripJoiners(wrapper.textContent)));
+                touchesBionic = true;
+            });
+            container.appendChild(fragment);
+        }
+        if (!touchesBionic) return;
+
+        container.normalize();
+        const text = fragmentToText(container).replace(/ *\n */g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+        e.clipboardData.setData('text/plain', text);
+        e.clipboardData.setData('text/html', container.innerHTML);
+        e.preventDefault();
+    }
+
+    /**
+     * Shortcut string for a keydown event, keyed on the physical key so that
+     * Alt combinations work on every layout. Null for lone modifier presses.
+     */
+    function eventToShortcut(e) {
+        const code = e.code || '';
+        if (!code || /^(Shift|Control|Alt|Meta|OS)/.test(code)) return null;
+
+        const key = normalizeShortcutKey(code);
+        if (!key) return null;
+
+        const parts = [];
+        if (e.ctrlKey || e.metaKey) parts.push('Mod');
+        if (e.altKey) parts.push('Alt');
+        if (e.shiftKey) parts.push('Shift');
+        parts.push(key);
+        return parts.join('+');
+    }
+
+    function formatShortcut(keys) {
+        if (!keys) return 'None';
+        const isMac = /Mac|iPhone|iPad/.test(navigator.platform || '');
+        return keys.replace('Mod', isMac ? 'Cmd' : 'Ctrl');
+    }
+
+    /**
+     * Conflicts of one action's binding: TypingMind/browser shortcuts and other actions
+     */
+    function getShortcutConflicts(id) {
+        const keys = shortcutBindings[id] && shortcutBindings[id].keys;
+        if (!keys) return [];
+
+        const conflicts = [];
+        if (CONFIG.RESERVED_SHORTCUTS[keys]) conflicts.push(CONFIG.RESERVED_SHORTCUTS[keys]);
+        for (const [otherId, binding] of Object.entries(shortcutBindings)) {
+            if (otherId !== id && binding.keys === keys) conflicts.push(`Bionic: ${SHORTCUT_ACTIONS[otherId].label}`);
+        }
+        return conflicts;
+    }
+
+    /**
+     * Remaps one action. Returns the conflicts of the new binding (empty when clean).
+     */
+    function setShortcut(id, patch) {
+        const binding = shortcutBindings[id];
+        if (!binding) return [];
+
+        if ('keys' in patch) binding.keys = patch.keys === null ? null : normalizeShortcut(patch.keys) || binding.keys;
+        if ('allowInInput' in patch) binding.allowInInput = !!patch.allowInInput;
+        saveShortcuts();
+
+        const conflicts = getShortcutConflicts(id);
+        if (conflicts.length > 0) logger.warn(`Shortcut ${binding.keys} conflicts with:`, conflicts);
+        return conflicts;
+    }
+
+    function resetShortcuts() {
+        localStorage.removeItem(CONFIG.SHORTCUTS_KEY);
+        shortcutBindings = loadShortcuts();
+    }
+
+    function isEditableTarget(target) {
+        if (!target || !target.tagName) return false;
+        return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable;
+    }
+
+    /**
+     * Global keydown handler: runs the action bound to the pressed combination
+     */
+    function handleShortcut(e) {
+        const keys = eventToShortcut(e);
+        if (!keys) return;
+
+        for (const [id, binding] of Object.entries(shortcutBindings)) {
+            if (binding.keys !== keys) continue;
+            if (!binding.allowInInput && isEditableTarget(e.target)) return;
+
+            e.preventDefault();
+            SHORTCUT_ACTIONS[id].run();
+            return;
+        }
+    }
+
+    function stepRatio(delta) {
+        const ratio = Math.round((settings.BOLD_RATIO + delta) * 100) / 100;
+        updateSettings({ BOLD_RATIO: ratio });
+        showToast(`📖 Bold ratio: ${Math.round(settings.BOLD_RATIO * 100)}%`);
+    }
+
+    function cycleFixationMode() {
+        const modes = Object.keys(FIXATION_STRATEGIES);
+        const next = modes[(modes.indexOf(settings.FIXATION_MODE) + 1) % modes.length];
+        updateSettings({ FIXATION_MODE: next });
+        showToast(`📖 Fixation algorithm: ${FIXATION_STRATEGIES[next].label}`);
+    }
+
+    /**
+     * Switches between the custom font and TypingMind's own font
+     */
+    function toggleFont() {
+        if (settings.FONT_FAMILY) {
+            hiddenFontFamily = settings.FONT_FAMILY;
+            updateSettings({ FONT_FAMILY: null });
+            showToast('📖 Font: TypingMind default');
+        } else {
+            updateSettings({ FONT_FAMILY: hiddenFontFamily || USER_SETTINGS.FONT_FAMILY });
+            showToast(`📖 Font: ${settings.FONT_FAMILY || 'TypingMind default'}`);
+        }
+    }
+
+    // =========================================================================
+    // 4.1 EXPORT
+    // =========================================================================
+
+    /**
+     * Detached copy of a message with the original text put back: wrappers are
+     * replaced by the text they hold, extension UI, TypingMind's controls and
+     * the cursor are dropped
+     */
+    function getExportClone(block) {
+        const clone = block.cloneNode(true);
+        const wrappers = block.querySelectorAll('.bionic-text-wrapper');
+        const clonedWrappers = clone.querySelectorAll('.bionic-text-wrapper');
+        for (let i = 0; i < clonedWrappers.length; i++) {
+            const original = wrapperOriginals.get(wrappers[i]);
+            const text = original ? original.nodeValue : clonedWrappers[i].textContent;
+            clonedWrappers[i].replaceWith(document.createTextNode(text));
+        }
+        clone.querySelectorAll(`.bionic-block-controls, .bionic-progress, ${CONFIG.SELECTORS.CURSOR}`).forEach(el => el.remove());
+        // Mermaid diagrams are SVG content, not icons
+        clone.querySelectorAll(CONFIG.SELECTORS.EXPORT_CHROME).forEach(el => !el.closest('.mermaid') && el.remove());
+        // TypingMind components left without text were action bars and icon rows
+        clone.querySelectorAll('[data-element-id]').forEach(el => !el.textContent.trim() && !el.querySelector('img') && el.remove());
+        clone.normalize();
+        return clone;
+    }
+
+    /**
+     * True if `node` sits in code or another ignored tag below `root`
+     */
+    function isIgnoredForExport(node, root) {
+        for (let el = node.parentElement; el && el !== root.parentElement; el = el.parentElement) {
+            if (CONFIG.IGNORE_TAGS.has(el.tagName)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Options for a text node of an exported copy, or null when a structure rule skips it
+     */
+    function getExportOptions(node, options) {
+        const rule = getStructureRule(node);
+        return (rule && rule.action === 'skip') || isInlineSkipped(node) ? null : withStructureRule(options, rule);
+    }
+
+    /**
+     * Replaces every formattable text node under `root` with its transformText rendering
+     */
+    function formatExportTree(root, options) {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        let node;
+        while (node = walker.nextNode()) {
+            if (!REGEX.WHITESPACE.test(node.nodeValue) && !isIgnoredForExport(node, root)) nodes.push(node);
+        }
+        for (const textNode of nodes) {
+            const nodeOptions = getExportOptions(textNode, options);
+            if (nodeOptions) textNode.replaceWith(renderSegments(transformText(textNode.nodeValue, nodeOptions)));
+        }
+        return root;
+    }
+
+    /**
+     * The messages to export: one response block, or every user message and
+     * response of the current chat in page order
+     */
+    function getExportMessages(block) {
+        const elements = block
+            ? [block]
+            : document.querySelectorAll(`${CONFIG.SELECTORS.USER_MESSAGE}, ${CONFIG.SELECTORS.RESPONSE_BLOCK}`);
+        return Array.from(elements, element => ({
+            role: element.matches(CONFIG.SELECTORS.RESPONSE_BLOCK) ? 'Assistant' : 'You',
+            element: getExportClone(element),
+            options: getNodeFixationOptions(element),
+        }));
+    }
+
+    function escapeMarkdown(text) {
+        return text.replace(/[\\`*_[\]<>]/g, '\\$&');
+    }
+
+    function markdownChildren(element, options) {
+        let out = '';
+        for (const child of element.childNodes) out += toMarkdown(child, options);
+        return out;
+    }
+
+    /**
+     * Converts a message subtree to Markdown with `**` fixation markers.
+     * Code is emitted verbatim; emphasis that is already bold stays plain bold.
+     */
+    function toMarkdown(node, options) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            const nodeOptions = getExportOptions(node, options);
+            if (!nodeOptions) return escapeMarkdown(node.nodeValue);
+            return transformText(node.nodeValue, nodeOptions)
+                .map(segment => segment.bold ? `**${escapeMarkdown(segment.text)}**` : escapeMarkdown(segment.text))
+                .join('');
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+        const tag = node.tagName;
+        switch (tag) {
+            case 'PRE': {
+                const code = node.querySelector('code');
+                const language = code && /language-([\w-]+)/.exec(code.className);
+                return `\n\n\`\`\`${language ? language[1] : ''}\n${node.textContent.replace(/\n$/, '')}\n\`\`\`\n\n`;
+            }
+            case 'CODE': {
+                // The fence must be longer than any backtick run inside; a space keeps a
+                // leading or trailing backtick (or space) from touching it
+                const text = node.textContent;
+                const fence = '`'.repeat(Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length)) + 1);
+                const pad = /^[ `]|[ `]$/.test(text) ? ' ' : '';
+                return fence + pad + text + pad + fence;
+            }
+            case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6':
+                return `\n\n${'#'.repeat(Number(tag[1]))} ${markdownChildren(node, options).trim()}\n\n`;
+            case 'P':
+                return `\n\n${markdownChildren(node, options).trim()}\n\n`;
+            case 'BR':
+                return '  \n';
+            case 'HR':
+                return '\n\n---\n\n';
+            case 'STRONG': case 'B':
+                return `**${escapeMarkdown(node.textContent)}**`;
+            case 'EM': case 'I':
+                return `_${markdownChildren(node, options)}_`;
+            case 'A':
+                return `[${markdownChildren(node, options)}](${node.getAttribute('href') || ''})`;
+            case 'IMG':
+                return `![${escapeMarkdown(node.getAttribute('alt') || '')}](${node.getAttribute('src') || ''})`;
+            case 'UL': case 'OL': {
+                let index = Number(node.getAttribute('start')) || 1;
+                const items = Array.from(node.children).filter(child => child.tagName === 'LI').map(item => {
+                    const marker = tag === 'OL' ? `${index++}. ` : '- ';
+                    const body = markdownChildren(item, options).trim().replace(/\n{3,}/g, '\n\n');
+                    return marker + body.replace(/\n/g, '\n' + ' '.repeat(marker.length));
+                });
+                return `\n\n${items.join('\n')}\n\n`;
+            }
+            case 'BLOCKQUOTE':
+                return `\n\n${markdownChildren(node, options).trim().replace(/^/gm, '> ')}\n\n`;
+            case 'TABLE': {
+                const rows = Array.from(node.querySelectorAll('tr'), row =>
+                    '| ' + Array.from(row.children, cell => markdownChildren(cell, options).trim().replace(/\|/g, '\\|')).join(' | ') + ' |');
+                if (rows.length === 0) return '';
+                const columns = node.querySelector('tr').children.length;
+                rows.splice(1, 0, '|' + ' --- |'.repeat(columns));
+                return `\n\n${rows.join('\n')}\n\n`;
+            }
+            default:
+                if (CONFIG.IGNORE_TAGS.has(tag)) return '';
+                return markdownChildren(node, options);
+        }
+    }
+
+    function buildMarkdown(messages, title) {
+        const labelled = messages.length > 1;
+        const parts = messages.map(({ role, element, options }) => {
+            const body = toMarkdown(element, options).replace(/\n{3,}/g, '\n\n').trim();
+            return labelled ? `## ${role}\n\n${body}` : body;
+        });
+        return `# ${escapeMarkdown(title)}\n\n${parts.join('\n\n')}\n`;
+    }
+
+    function escapeHtml(text) {
+        return text.replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char]));
+    }
+
+    /**
+     * Shared stylesheet of exported documents. The font goes through the schema
+     * check again since it lands in the document's <style>.
+     */
+    function getExportCss() {
+        const font = sanitizeSetting('FONT_FAMILY', settings.FONT_FAMILY) || 'system-ui, -apple-system, sans-serif';
+        return `
+body { font-family: ${font}; max-width: 42em; margin: 2em auto; padding: 0 1em; line-height: 1.6; color: #111827; }
+b { font-weight: 700; }
+pre, code { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; }
+pre { background: #f3f4f6; padding: 0.75em 1em; overflow-x: auto; white-space: pre-wrap; }
+.message-role { font-size: 0.8em; text-transform: uppercase; letter-spacing: 0.05em; color: #6b7280; margin-top: 2em; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #d1d5db; padding: 0.25em 0.5em; }
+`;
+    }
+
+    function blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    /**
+     * @font-face rules of the page for the families in FONT_FAMILY, with their
+     * font files inlined as data URLs so the exported HTML renders offline.
+     * Fonts installed on the system (like the default Segoe UI) have no rule and
+     * no file to embed: the export names them and the reader's system supplies them.
+     */
+    async function getEmbeddedFontCss() {
+        if (!settings.FONT_FAMILY) return '';
+        const families = settings.FONT_FAMILY.split(',').map(family => family.trim().replace(/^["']|["']$/g, '').toLowerCase());
+
+        const faces = [];
+        for (const sheet of document.styleSheets) {
+            let rules;
+            try {
+                rules = sheet.cssRules;
+            } catch (e) {
+                continue; // Cross-origin stylesheet
+            }
+            for (const rule of rules) {
+                if (typeof CSSFontFaceRule === 'undefined' || !(rule instanceof CSSFontFaceRule)) continue;
+                const family = rule.style.getPropertyValue('font-family').trim().replace(/^["']|["']$/g, '').toLowerCase();
+                if (families.includes(family)) faces.push({ css: rule.cssText, base: sheet.href || document.baseURI });
+            }
+        }
+
+        const embedded = await Promise.all(faces.map(async ({ css, base }) => {
+            const urls = [...css.matchAll(/url\(\s*["']?([^"')]+)["']?\s*\)/g)].map(match => match[1]);
+            for (const url of urls) {
+                if (url.startsWith('data:')) continue;
+                const absolute = new URL(url, base).href;
+                try {
+                    const response = await fetch(absolute);
+                    css = css.split(url).join(await blobToDataUrl(await response.blob()));
+                } catch (e) {
+                    logger.warn('Could not embed font, linking it instead:', absolute);
+                    css = css.split(url).join(absolute);
+                }
+            }
+            return css;
+        }));
+        return embedded.join('\n');
+    }
+
+    /**
+     * Keeps CSS from closing the <style> element it is written into
+     */
+    function escapeStyleText(css) {
+        return css.replace(/<\/(style)/gi, '<\\/$1');
+    }
+
+    async function buildHtml(messages, title) {
+        const labelled = messages.length > 1;
+        const body = messages.map(({ role, element, options }) => {
+            const label = labelled ? `<p class="message-role">${role}</p>\n` : '';
+            return `<section>\n${label}${formatExportTree(element, options).innerHTML}\n</section>`;
+        }).join('\n');
+
+        return `<!DOCTYPE html>
+<html lang="${escapeHtml(document.documentElement.lang || 'en')}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+${escapeStyleText(`${await getEmbeddedFontCss()}
+${getExportCss()}`)}
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${body}
+</body>
+</html>
+`;
+    }
+
+    const CRC32_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    function crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Minimal ZIP writer (stored entries, no compression), enough for EPUB
+     * where `mimetype` must come first and uncompressed
+     */
+    function createZip(files) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        const chunks = [];
+        const central = [];
+        let offset = 0;
+        for (const file of files) {
+            const name = encoder.encode(file.name);
+            const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+            const crc = crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // UTF-8 names
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            chunks.push(local, name, data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014B50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(12, time, true);
+            entry.setUint16(14, date, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+            central.push(entry, name);
+
+            offset += 30 + name.length + data.length;
+        }
+
+        const centralSize = central.reduce((size, part) => size + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...chunks, ...central, end], { type: EXPORT_FORMATS.epub.mime });
+    }
+
+    function buildEpub(messages, title) {
+        const serializer = new XMLSerializer();
+        const language = escapeHtml(document.documentElement.lang || 'en');
+        const id = typeof crypto !== 'undefined' && crypto.randomUUID ? crypto.randomUUID() : String(Date.now());
+        const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+        const labelled = messages.length > 1;
+
+        const body = messages.map(({ role, element, options }) => {
+            const label = labelled ? `<p class="message-role">${role}</p>\n` : '';
+            const section = document.createElement('section');
+            section.append(...formatExportTree(element, options).childNodes);
+            return label + serializer.serializeToString(section);
+        }).join('\n');
+
+        const xhtml = (heading, content) => `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${language}" lang="${language}">
+<head><meta charset="utf-8"/><title>${heading}</title><link rel="stylesheet" href="style.css"/></head>
+<body>
+${content}
+</body>
+</html>
+`;
+
+        return createZip([
+            { name: 'mimetype', data: EXPORT_FORMATS.epub.mime },
+            { name: 'META-INF/container.xml', data: `<?xml version="1.0" encoding="utf-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>
+</container>
+` },
+            { name: 'OEBPS/content.opf', data: `<?xml version="1.0" encoding="utf-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">urn:uuid:${id}</dc:identifier>
+<dc:title>${escapeHtml(title)}</dc:title>
+<dc:language>${language}</dc:language>
+<meta property="dcterms:modified">${modified}</meta>
+</metadata>
+<manifest>
+<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+<item id="chat" href="chat.xhtml" media-type="application/xhtml+xml"/>
+<item id="style" href="style.css" media-type="text/css"/>
+</manifest>
+<spine><itemref idref="chat"/></spine>
+</package>
+` },
+            { name: 'OEBPS/nav.xhtml', data: xhtml(escapeHtml(title), `<nav epub:type="toc"><ol><li><a href="chat.xhtml">${escapeHtml(title)}</a></li></ol></nav>`) },
+            { name: 'OEBPS/style.css', data: getExportCss() },
+            { name: 'OEBPS/chat.xhtml', data: xhtml(escapeHtml(title), `<h1>${escapeHtml(title)}</h1>\n${body}`) },
+        ]);
+    }
+
+    /**
+     * Lowercase letters, digits and dashes for a download name ('' when nothing is left)
+     */
+    function toFileSlug(text) {
+        return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    }
+
+    function downloadFile(filename, content, mime) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: `${mime};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Exports one response block, or the whole chat when `block` is omitted,
+     * as a bionic-formatted `html`, `markdown` or `epub` download
+     */
+    async function exportChat(format = 'html', block = null) {
+        format = EXPORT_FORMAT_ALIASES[format] || format;
+        const exportFormat = EXPORT_FORMATS[format];
+        if (!exportFormat) {
+            showToast(`📖 Unknown export format: ${format}`);
+            return false;
+        }
+
+        const messages = getExportMessages(block);
+        if (messages.length === 0) {
+            showToast('📖 Nothing to export');
+            return false;
+        }
+
+        const title = (document.title || 'TypingMind chat').trim();
+        const filename = `bionic-${toFileSlug(getCurrentChatId()) || 'chat'}-${new Date().toISOString().slice(0, 10)}.${exportFormat.extension}`;
+        try {
+            let content;
+            if (format === 'markdown') content = buildMarkdown(messages, title);
+            else if (format === 'epub') content = buildEpub(messages, title);
+            else content = await buildHtml(messages, title);
+
+            downloadFile(filename, content, exportFormat.mime);
+            showToast(`📖 Exported ${block ? 'response' : 'chat'} as ${exportFormat.label}`);
+            return true;
+        } catch (e) {
+            logger.error('Export failed:', e);
+            showToast('📖 Export failed');
+            return false;
+        }
+    }
+
+    function closeExportMenu() {
+        const menu = document.getElementById('bionic-reading-export-menu');
+        if (menu) menu.remove();
+    }
+
+    function openExportMenu(anchor, block) {
+        closeExportMenu();
+        injectUiStyles();
+
+        const menu = document.createElement('div');
+        menu.id = 'bionic-reading-export-menu';
+        menu.setAttribute('role', 'menu');
+        for (const [format, { label }] of Object.entries(EXPORT_FORMATS)) {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.setAttribute('role', 'menuitem');
+            item.textContent = label;
+            item.addEventListener('click', () => {
+                closeExportMenu();
+                exportChat(format, block);
+            });
+            menu.appendChild(item);
+        }
+
+        const rect = anchor.getBoundingClientRect();
+        menu.style.top = `${rect.bottom + 4}px`;
+        menu.style.left = `${Math.max(8, rect.right - 120)}px`;
+        document.body.appendChild(menu);
+
+        // Close on the next click anywhere else
+        setTimeout(() => document.addEventListener('click', closeExportMenu, { once: true }), 0);
+        menu.querySelector('button').focus();
+    }
+
+    /**
+     * Mounts the small per-response toolbar (on/off switch, focus mode, export)
+     * in a host just before a response block. A host that a re-render separated
+     * from its block is moved back.
+     */
+    function addBlockControls(block) {
+        const existing = blockHosts.get(block);
+        if (existing && existing.nextElementSibling === block) return;
+        if (!block.parentElement) return;
+        if (existing) {
+            block.before(existing);
+            return;
+        }
+        injectUiStyles();
+
+        const host = document.createElement('div');
+        host.className = 'bionic-block-host';
+
+        const controls = document.createElement('div');
+        controls.className = 'bionic-block-controls';
+
+        // Filled in by the reading progress pass once the response has finished
+        const readingTime = document.createElement('span');
+        readingTime.className = 'bionic-reading-time';
+        readingTime.hidden = true;
+
+        const toggleButton = document.createElement('button');
+        toggleButton.type = 'button';
+        toggleButton.className = 'bionic-block-toggle';
+        toggleButton.textContent = 'Bionic';
+        toggleButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            setBlockEnabled(block, !isBlockAllowed(block));
+        });
+
+        const focusButton = document.createElement('button');
+        focusButton.type = 'button';
+        focusButton.textContent = 'Focus';
+        focusButton.title = 'Read this response in focus mode';
+        focusButton.setAttribute('aria-haspopup', 'dialog');
+        focusButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            openFocusMode(block);
+        });
+
+        const listenButton = document.createElement('button');
+        listenButton.type = 'button';
+        listenButton.textContent = 'Listen';
+        listenButton.title = 'Read this response aloud';
+        listenButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (readAloud && readAloud.block === block) stopReadAloud();
+            else startReadAloud(block);
+        });
+
+        const exportButton = document.createElement('button');
+        exportButton.type = 'button';
+        exportButton.textContent = 'Export';
+        exportButton.title = 'Export this response with bionic formatting';
+        exportButton.setAttribute('aria-haspopup', 'menu');
+        exportButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            openExportMenu(exportButton, block);
+        });
+
+        controls.append(readingTime, toggleButton, focusButton, listenButton, exportButton);
+        host.appendChild(controls);
+        block.before(host);
+        blockHosts.set(block, host);
+        updateBlockToggle(block);
+    }
+
+    /**
+     * Syncs the on/off button of a response toolbar with the block's state
+     */
+    function updateBlockToggle(block) {
+        const host = blockHosts.get(block);
+        if (!host) return;
+
+        const button = host.querySelector('.bionic-block-toggle');
+
+        const enabled = isBlockAllowed(block);
+        button.setAttribute('aria-pressed', String(enabled));
+        button.title = enabled
+            ? 'Turn bionic formatting off for this response'
+            : 'Turn bionic formatting on for this response';
+    }
+
+    function removeBlockControls() {
+        document.querySelectorAll('.bionic-block-host').forEach(element => element.remove());
+        closeExportMenu();
+    }
+
+    /**
+     * Takes the toolbar and rail of a response that left the DOM with it
+     */
+    function removeBlockHost(block) {
+        const host = blockHosts.get(block);
+        if (!host) return;
+        host.remove();
+        blockHosts.delete(block);
+    }
+
+    // =========================================================================
+    // 4.2 FOCUS MODE
+    // =========================================================================
+
+    function applyFocusLayout() {
+        if (!focusContent) return;
+
+        focusContent.style.fontSize = `${settings.FOCUS_FONT_SIZE}px`;
+        focusContent.style.lineHeight = String(CONFIG.FOCUS_LINE_HEIGHT);
+        focusContent.style.maxWidth = `${settings.FOCUS_COLUMN_WIDTH}ch`;
+        focusContent.style.fontFamily = settings.FONT_FAMILY || '';
+    }
+
+    function closeFocusMode() {
+        if (!focusOverlay) return;
+
+        focusOverlay.remove();
+        focusOverlay = null;
+        focusContent = null;
+        document.documentElement.style.removeProperty('overflow');
+        if (focusOpener && focusOpener.isConnected) focusOpener.focus();
+        focusOpener = null;
+    }
+
+    /**
+     * Toolbar button that steps a focus mode setting
+     */
+    function createFocusStepButton(label, title, key, step) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.title = title;
+        button.setAttribute('aria-label', title);
+        button.addEventListener('click', () => updateSettings({ [key]: settings[key] + step }));
+        return button;
+    }
+
+    /**
+     * Opens one response in a distraction-free overlay. The overlay holds a copy
+     * of the response (original text, no TypingMind attributes) that goes through
+     * processElement like any other target, so the page itself is not touched.
+     * A ruler one line tall follows the mouse, or ArrowUp/ArrowDown.
+     */
+    function openFocusMode(block) {
+        closeFocusMode();
+        injectUiStyles();
+
+        const overlay = document.createElement('div');
+        overlay.id = 'bionic-reading-focus';
+        overlay.tabIndex = -1;
+        overlay.setAttribute('role', 'dialog');
+        overlay.setAttribute('aria-modal', 'true');
+        overlay.setAttribute('aria-label', 'Focus mode');
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'bionic-focus-toolbar';
+
+        const width = document.createElement('input');
+        const widthSchema = SETTINGS_SCHEMA.FOCUS_COLUMN_WIDTH;
+        width.type = 'range';
+        width.min = widthSchema.min;
+        width.max = widthSchema.max;
+        width.step = widthSchema.step;
+        width.value = settings.FOCUS_COLUMN_WIDTH;
+        width.setAttribute('aria-label', 'Column width');
+        width.addEventListener('input', () => updateSettings({ FOCUS_COLUMN_WIDTH: width.value }));
+        const widthLabel = document.createElement('label');
+        widthLabel.append('Width ', width);
+
+        const rulerButton = document.createElement('button');
+        rulerButton.type = 'button';
+        rulerButton.textContent = 'Ruler';
+        rulerButton.title = 'Show or hide the line-focus ruler';
+        rulerButton.setAttribute('aria-pressed', 'true');
+
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.textContent = '✕';
+        closeButton.title = 'Close focus mode (Esc)';
+        closeButton.setAttribute('aria-label', 'Close focus mode');
+        closeButton.addEventListener('click', closeFocusMode);
+
+        toolbar.append(
+            createFocusStepButton('A−', 'Smaller text', 'FOCUS_FONT_SIZE', -2),
+            createFocusStepButton('A+', 'Larger text', 'FOCUS_FONT_SIZE', 2),
+            widthLabel,
+            rulerButton,
+            closeButton,
+        );
+
+        const page = document.createElement('div');
+        page.className = 'bionic-focus-page';
+
+        const ruler = document.createElement('div');
+        ruler.className = 'bionic-focus-ruler';
+        ruler.setAttribute('aria-hidden', 'true');
+
+        // Without its data-* attributes the copy is not a target the observers pick up
+        const copy = getExportClone(block);
+        for (const el of [copy, ...copy.querySelectorAll('*')]) {
+            if (!targetSelector || !el.matches(targetSelector)) continue;
+            el.getAttributeNames().filter(name => name.startsWith('data-')).forEach(name => el.removeAttribute(name));
+        }
+        const content = document.createElement('div');
+        content.className = 'bionic-focus-content';
+        content.appendChild(copy);
+
+        page.append(ruler, content);
+        overlay.append(toolbar, page);
+
+        let rulerTop = 0;
+        const moveRuler = (top) => {
+            const lineHeight = settings.FOCUS_FONT_SIZE * CONFIG.FOCUS_LINE_HEIGHT;
+            rulerTop = Math.max(0, Math.min(top, page.scrollHeight - lineHeight));
+            ruler.style.top = `${rulerTop}px`;
+            ruler.style.height = `${lineHeight}px`;
+        };
+        rulerButton.addEventListener('click', () => {
+            ruler.hidden = !ruler.hidden;
+            rulerButton.setAttribute('aria-pressed', String(!ruler.hidden));
+        });
+        page.addEventListener('mousemove', (e) => {
+            const lineHeight = settings.FOCUS_FONT_SIZE * CONFIG.FOCUS_LINE_HEIGHT;
+            moveRuler(e.clientY - page.getBoundingClientRect().top - lineHeight / 2);
+        });
+        overlay.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                closeFocusMode();
+            } else if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && !e.target.matches('input')) {
+                e.preventDefault();
+                const lineHeight = settings.FOCUS_FONT_SIZE * CONFIG.FOCUS_LINE_HEIGHT;
+                moveRuler(rulerTop + (e.key === 'ArrowDown' ? lineHeight : -lineHeight));
+                if (ruler.scrollIntoView) ruler.scrollIntoView({ block: 'nearest' });
+            }
+        });
+
+        document.body.appendChild(overlay);
+        document.documentElement.style.overflow = 'hidden';
+        focusOverlay = overlay;
+        focusContent = content;
+        focusOpener = document.activeElement;
+
+        applyFocusLayout();
+        moveRuler(content.offsetTop);
+        processElement(content);
+        overlay.focus();
+    }
+
+    // =========================================================================
+    // 4.3 SELECTOR HEALTH & DIAGNOSTICS
+    // =========================================================================
+
+    /**
+     * Points each role of SELECTOR_CHAINS at the first candidate found in the page.
+     * A role that finds none keeps its last resolution (the cursor and the message
+     * editor come and go), or the whole chain if it never resolved.
+     * Returns true when a role's selector changed.
+     */
+    function resolveSelectors() {
+        let changed = false;
+        for (const [role, chain] of Object.entries(SELECTOR_CHAINS)) {
+            const index = chain.candidates.findIndex(candidate => document.querySelector(candidate));
+            if (!(role in selectorMatches)) selectorMatches[role] = -1;
+            if (index === -1 || index === selectorMatches[role]) continue;
+
+            selectorMatches[role] = index;
+            CONFIG.SELECTORS[role] = chain.candidates[index];
+            changed = true;
+        }
+        return changed;
+    }
+
+    /**
+     * Rebuilds what is derived from the selectors after a role resolved differently:
+     * the UI stylesheet, the target selector and, when that changed, the page
+     * observers. Returns true if the page was reprocessed.
+     */
+    function applyResolvedSelectors() {
+        if (uiStyleElement) {
+            uiStyleElement.remove();
+            uiStyleElement = null;
+            injectUiStyles();
+        }
+
+        const selector = getTargetSelector();
+        if (selector === targetSelector) return false;
+        targetSelector = selector;
+        if (!isEnabled) return false;
+
+        removeStyles();
+        disconnectObservers();
+        reprocessAll();
+        setupGlobalObserver();
+        return true;
+    }
+
+    function isSelectorExpected(chain) {
+        return chain.expect === 'always' || (chain.expect === 'chat' && !!getCurrentChatId());
+    }
+
+    /**
+     * Startup check that the roles TypingMind should be showing resolve. Fallbacks
+     * in use are logged; missing roles are reported with a toast so a TypingMind
+     * update doesn't leave the extension silently doing nothing.
+     * Returns the labels of the missing roles.
+     */
+    function checkSelectorHealth() {
+        if (resolveSelectors()) applyResolvedSelectors();
+
+        const missing = [];
+        for (const [role, chain] of Object.entries(SELECTOR_CHAINS)) {
+            const index = selectorMatches[role];
+            if (index > 0) logger.warn(`${chain.label}: ${chain.candidates[0]} not found, using ${chain.candidates[index]}`);
+            if (index === -1 && isSelectorExpected(chain)) missing.push(chain.label);
+        }
+        if (missing.length === 0) return missing;
+
+        logger.error(`Selector health check: ${missing.join(', ')} not found. TypingMind's page may have changed.`);
+        showToast(`📖 Bionic Reading can't find: ${missing.join(', ')}. See /bionic diagnose or Diagnose in the settings panel`);
+        return missing;
+    }
+
+    /**
+     * Target roots that hold formatting (wrappers, or highlight ranges)
+     */
+    function countFormattedBlocks() {
+        const roots = new Set();
+        document.querySelectorAll('.bionic-text-wrapper').forEach(wrapper => roots.add(getTargetRoot(wrapper)));
+        if (bionicHighlight) bionicHighlight.forEach(range => roots.add(getTargetRoot(range.startContainer)));
+        roots.delete(null);
+        return roots.size;
+    }
+
+    function getStreamingHeuristic() {
+        const debounce = `${settings.STREAMING_DEBOUNCE_MS}ms`;
+        if (canPaintLive()) {
+            return `Live: completed words are painted with CSS highlights, final pass after ${debounce} without changes`;
+        }
+        const reason = settings.LIVE_STREAMING && !supportsHighlights() ? ' (CSS highlights unavailable)' : '';
+        return `Debounce: text is formatted after ${debounce} without changes and never next to the cursor${reason}`;
+    }
+
+    /**
+     * Report for `/bionic diagnose`: which selectors matched and how much was processed
+     */
+    function getDiagnostics() {
+        if (resolveSelectors()) applyResolvedSelectors();
+
+        return {
+            enabled: isEnabled,
+            selectors: Object.entries(SELECTOR_CHAINS).map(([role, chain]) => ({
+                role,
+                label: chain.label,
+                selector: CONFIG.SELECTORS[role],
+                index: selectorMatches[role],
+                expected: isSelectorExpected(chain),
+                count: document.querySelectorAll(CONFIG.SELECTORS[role]).length,
+            })),
+            blocks: { found: queryTargetRoots().length, formatted: countFormattedBlocks(), observed: observedBlocks.size },
+            nodes: { formatted: lifecycleStats.formattedNodes, queued: getQueueDepth(), streaming: activeStreamingNodes.size },
+            streaming: getStreamingHeuristic(),
+        };
+    }
+
+    // =========================================================================
+    // 4.4 PROFILES
+    // =========================================================================
+
+    function getProfileNames() {
+        return Object.keys(settingsStore.profiles);
+    }
+
+    /**
+     * The stored spelling of a profile name, matched case-insensitively
+     */
+    function findProfileName(name) {
+        const wanted = String(name).trim().toLowerCase();
+        return getProfileNames().find(candidate => candidate.toLowerCase() === wanted) || null;
+    }
+
+    function getUnknownProfileError(name) {
+        return `No profile named "${name}". Profiles: ${getProfileNames().join(', ')}`;
+    }
+
+    /**
+     * Makes a profile active and applies its settings.
+     * Returns an error message when there is no such profile.
+     */
+    function switchProfile(name) {
+        const profileName = findProfileName(name);
+        if (!profileName) return getUnknownProfileError(name);
+
+        settingsStore.activeProfile = profileName;
+        updateSettings(settingsStore.profiles[profileName]);
+        saveSettingsStore();
+        return null;
+    }
+
+    /**
+     * Saves the current settings as a profile (replacing one with the same name)
+     * and makes it active
+     */
+    function saveProfileAs(name) {
+        const profileName = sanitizeProfileName(name);
+        if (!profileName) return `Profile name must be 1-${CONFIG.PROFILE_NAME_MAX_LENGTH} characters`;
+
+        settingsStore.profiles[findProfileName(profileName) || profileName] = sanitizeProfileSettings(settings);
+        settingsStore.activeProfile = findProfileName(profileName);
+        saveSettingsStore();
+        return null;
+    }
+
+    /**
+     * Deletes a profile; deleting the active one switches to the first left.
+     * Returns an error message for an unknown name or the last profile.
+     */
+    function deleteProfile(name) {
+        const profileName = findProfileName(name);
+        if (!profileName) return getUnknownProfileError(name);
+        if (getProfileNames().length <= 1) return 'The last profile can\'t be deleted';
+
+        delete settingsStore.profiles[profileName];
+        if (settingsStore.activeProfile === profileName) return switchProfile(getProfileNames()[0]);
+        saveSettingsStore();
+        return null;
+    }
+
+    /**
+     * Adds (or replaces) a profile from exported JSON and switches to it.
+     * Returns an error message when the JSON is not a valid profile.
+     */
+    function importProfile(text, fallbackName) {
+        const { profile, errors } = parseProfile(text, fallbackName);
+        if (!profile) {
+            const more = errors.length > 3 ? ` (+${errors.length - 3} more)` : '';
+            return errors.slice(0, 3).join('; ') + more;
+        }
+
+        const existing = findProfileName(profile.name);
+        settingsStore.profiles[existing || profile.name] = profile.settings;
+        const error = switchProfile(profile.name);
+        if (error) return error;
+        showToast(`📖 ${existing ? 'Replaced' : 'Imported'} profile "${settingsStore.activeProfile}"`);
+        return null;
+    }
+
+    function exportProfileFile(name = settingsStore.activeProfile) {
+        const slug = toFileSlug(name) || 'profile';
+        downloadFile(`bionic-profile-${slug}.json`, serializeProfile(name, settingsStore.profiles[name]), 'application/json');
+    }
+
+    async function copyProfile(name = settingsStore.activeProfile) {
+        try {
+            await navigator.clipboard.writeText(serializeProfile(name, settingsStore.profiles[name]));
+            showToast(`📖 Profile "${name}" copied as JSON`);
+        } catch (e) {
+            logger.error('Copying the profile failed:', e);
+            showToast('📖 The clipboard is not available here; use Export file instead');
+        }
+    }
+
+    /**
+     * Imports a profile from JSON on the clipboard. Resolves to true when it was imported.
+     */
+    async function pasteProfile() {
+        let text;
+        try {
+            text = await navigator.clipboard.readText();
+        } catch (e) {
+            logger.error('Reading the clipboard failed:', e);
+            showToast('📖 The clipboard is not available here; use Import file instead');
+            return false;
+        }
+        const error = importProfile(text);
+        if (error) showToast(`📖 Import failed: ${error}`);
+        return !error;
+    }
+
+    // =========================================================================
+    // 4.5 READING PROGRESS
+    // =========================================================================
+
+    /**
+     * Progress key (a hash of the leading text) and word count of a finished
+     * response, cached until its text changes. Returns null while it streams.
+     */
+    function getBlockReadingInfo(block) {
+        const length = block.textContent.length;
+        const cached = blockReadingInfo.get(block);
+        if (cached && cached.length === length) return cached;
+        if (block.querySelector(CONFIG.SELECTORS.CURSOR)) return null;
+
+        const text = getPlainText(block).trim();
+        if (!text) return null;
+        const info = {
+            length,
+            key: crc32(new TextEncoder().encode(text.slice(0, CONFIG.PROGRESS_KEY_CHARS))).toString(36),
+            words: text.split(/\s+/).length,
+        };
+        blockReadingInfo.set(block, info);
+        return info;
+    }
+
+    function getChatProgress(chatId) {
+        if (!readingProgress[chatId]) readingProgress[chatId] = { read: [], position: null, updated: 0 };
+        return readingProgress[chatId];
+    }
+
+    function isResponseRead(chatId, key) {
+        const chat = readingProgress[chatId];
+        return Boolean(chat && chat.read.includes(key));
+    }
+
+    function scheduleProgressSave() {
+        if (progressSaveTimer) return;
+        progressSaveTimer = setTimeout(() => {
+            progressSaveTimer = null;
+            saveReadingProgress();
+        }, CONFIG.PROGRESS_SAVE_MS);
+    }
+
+    function flushReadingProgress() {
+        if (!progressSaveTimer) return;
+        clearTimeout(progressSaveTimer);
+        progressSaveTimer = null;
+        saveReadingProgress();
+    }
+
+    /**
+     * Measures the response blocks once per frame after a scroll, resize or a
+     * block coming into view. Only blocks the intersection observer reports as
+     * near the viewport are measured.
+     */
+    function scheduleProgressUpdate() {
+        if (progressFrameScheduled || observedBlocks.size === 0) return;
+        progressFrameScheduled = true;
+        requestAnimationFrame(updateReadingProgress);
+    }
+
+    /**
+     * Fills the progress rails and reading times of the responses in view, marks
+     * the ones scrolled through as read and records the response at the top of
+     * the viewport as the chat's reading position
+     */
+    function updateReadingProgress() {
+        progressFrameScheduled = false;
+        if (!settings.READING_PROGRESS) return;
+
+        const chatId = getCurrentChatId();
+        // A reopened chat keeps its saved position until the resume prompt had its chance
+        const recording = Boolean(chatId) && !pendingResume;
+        const viewportHeight = window.innerHeight;
+        let position = null;
+        let topmost = Infinity;
+
+        for (const block of observedBlocks) {
+            if (!block.isConnected || !block.matches(CONFIG.SELECTORS.RESPONSE_BLOCK)) continue;
+            const info = getBlockReadingInfo(block);
+            if (!info) continue;
+
+            const rect = block.getBoundingClientRect();
+            const seen = rect.height > 0 ? Math.min(1, Math.max(0, (viewportHeight - rect.top) / rect.height)) : 0;
+            if (recording && seen >= CONFIG.PROGRESS_READ_AT) markResponseRead(chatId, info.key);
+            renderBlockProgress(block, info, seen, rect.height, isResponseRead(chatId, info.key));
+
+            if (rect.bottom > 0 && rect.top < viewportHeight && rect.top < topmost) {
+                topmost = rect.top;
+                const offset = rect.height > 0 ? Math.min(1, Math.max(0, -rect.top / rect.height)) : 0;
+                position = { key: info.key, offset: Math.round(offset * 1000) / 1000 };
+            }
+        }
+
+        if (!recording || !position) return;
+        const chat = getChatProgress(chatId);
+        if (chat.position && chat.position.key === position.key && chat.position.offset === position.offset) return;
+        chat.position = position;
+        chat.updated = Date.now();
+        scheduleProgressSave();
+    }
+
+    function markResponseRead(chatId, key) {
+        const chat = getChatProgress(chatId);
+        if (chat.read.includes(key)) return;
+        chat.read.push(key);
+        chat.updated = Date.now();
+        scheduleProgressSave();
+    }
+
+    /**
+     * Updates a response's reading time label and, for responses taller than the
+     * viewport, the slim rail along its left edge showing how far it was read.
+     * The rail lives in the block's host and is sized to the block's `height`.
+     */
+    function renderBlockProgress(block, info, seen, height, read) {
+        const host = blockHosts.get(block);
+        if (!host) return;
+
+        const label = host.querySelector('.bionic-reading-time');
+        const minutes = Math.max(1, Math.round(info.words / settings.READING_SPEED_WPM));
+        const text = `${read ? '✓ ' : ''}${minutes} min read`;
+        if (label.textContent !== text) label.textContent = text;
+        label.title = `${read ? 'Read · ' : ''}${info.words} words at ${settings.READING_SPEED_WPM} words per minute`;
+        label.hidden = false;
+
+        let rail = host.querySelector('.bionic-progress');
+        if (height <= window.innerHeight) {
+            if (rail) rail.remove();
+            return;
+        }
+        if (!rail) {
+            rail = document.createElement('div');
+            rail.className = 'bionic-progress';
+            rail.setAttribute('aria-hidden', 'true');
+            rail.appendChild(document.createElement('span'));
+            host.appendChild(rail);
+        }
+        rail.style.height = `${Math.round(height)}px`;
+        rail.classList.toggle('bionic-progress-read', read);
+        rail.firstChild.style.height = `${Math.round((read ? 1 : seen) * 100)}%`;
+    }
+
+    /**
+     * Drops the indicators and cached response info and measures again, after a
+     * progress setting changed or progress was cleared
+     */
+    function refreshReadingProgress() {
+        blockReadingInfo = new WeakMap();
+        document.querySelectorAll('.bionic-progress').forEach(rail => rail.remove());
+        document.querySelectorAll('.bionic-reading-time').forEach(label => {
+            label.hidden = true;
+            label.textContent = '';
+        });
+        if (!settings.READING_PROGRESS) cancelResume();
+        scheduleProgressUpdate();
+    }
+
+    /**
+     * Forgets the reading progress of one chat, or of every chat without an ID
+     */
+    function clearReadingProgress(chatId) {
+        if (chatId) delete readingProgress[chatId];
+        else readingProgress = {};
+        saveReadingProgress();
+        if (pendingResume && (!chatId || pendingResume.chatId === chatId)) cancelResume();
+        refreshReadingProgress();
+    }
+
+    /**
+     * Holds on to the saved position of the chat now open and offers to jump back
+     * to it once the chat has rendered. Runs at startup and on chat switches.
+     */
+    function prepareResume() {
+        cancelResume();
+        const chatId = getCurrentChatId();
+        const chat = chatId && readingProgress[chatId];
+        if (!settings.READING_PROGRESS || !chat || !chat.position) return;
+
+        pendingResume = { chatId, position: chat.position, timer: setTimeout(offerResume, CONFIG.RESUME_DELAY_MS) };
+    }
+
+    function cancelResume() {
+        if (pendingResume) clearTimeout(pendingResume.timer);
+        pendingResume = null;
+        closeResumePrompt();
+    }
+
+    function offerResume() {
+        const { chatId, position } = pendingResume;
+        pendingResume = null;
+        scheduleProgressUpdate();
+        if (getCurrentChatId() !== chatId) return;
+
+        const block = Array.from(document.querySelectorAll(CONFIG.SELECTORS.RESPONSE_BLOCK)).find(candidate => {
+            const info = getBlockReadingInfo(candidate);
+            return info && info.key === position.key;
+        });
+        if (!block) return;
+
+        // Nothing to offer when the chat opened at the saved position
+        const rect = block.getBoundingClientRect();
+        const top = rect.top + position.offset * rect.height;
+        if (top >= 0 && top < window.innerHeight) return;
+
+        showResumePrompt(block, position.offset);
+    }
+
+    function showResumePrompt(block, offset) {
+        closeResumePrompt();
+        injectUiStyles();
+
+        const prompt = document.createElement('div');
+        prompt.id = 'bionic-reading-resume';
+        prompt.setAttribute('role', 'group');
+        prompt.setAttribute('aria-label', 'Resume reading');
+
+        const jumpButton = document.createElement('button');
+        jumpButton.type = 'button';
+        jumpButton.textContent = '↩ Jump back to where I was';
+        jumpButton.addEventListener('click', () => {
+            closeResumePrompt();
+            jumpToPosition(block, offset);
+        });
+
+        const dismissButton = document.createElement('button');
+        dismissButton.type = 'button';
+        dismissButton.textContent = '✕';
+        dismissButton.setAttribute('aria-label', 'Dismiss');
+        dismissButton.addEventListener('click', closeResumePrompt);
+
+        prompt.append(jumpButton, dismissButton);
+        document.body.appendChild(prompt);
+        resumePromptTimer = setTimeout(closeResumePrompt, CONFIG.RESUME_PROMPT_MS);
+    }
+
+    function closeResumePrompt() {
+        clearTimeout(resumePromptTimer);
+        resumePromptTimer = null;
+        const prompt = document.getElementById('bionic-reading-resume');
+        if (prompt) prompt.remove();
+    }
+
+    /**
+     * Scrolls a response so the point `offset` (0-1) of the way down it is at the
+     * top of the chat's scroll container
+     */
+    function jumpToPosition(block, offset) {
+        if (!block.isConnected) return;
+        block.scrollIntoView({ block: 'start' });
+        getScrollParent(block).scrollTop += offset * block.getBoundingClientRect().height;
+        scheduleProgressUpdate();
+    }
+
+    function getScrollParent(element) {
+        for (let node = element.parentElement; node && node !== document.body; node = node.parentElement) {
+            const overflow = getComputedStyle(node).overflowY;
+            if ((overflow === 'auto' || overflow === 'scroll') && node.scrollHeight > node.clientHeight) return node;
+        }
+        return document.scrollingElement || document.documentElement;
+    }
+
+    // =========================================================================
+    // 4.6 READ ALOUD
+    // =========================================================================
+
+    /**
+     * The default speech backend, on the browser's speechSynthesis. A backend
+     * speaks one utterance at a time and provides:
+     *   speak(text, { rate, onBoundary(charIndex, charLength), onEnd() })
+     *   pause(), resume(), cancel() and optionally isAvailable()
+     * `onBoundary` reports each word as it is about to be spoken (charLength is 0
+     * when the engine doesn't say); `onEnd` is called when the utterance finished
+     * or failed, not after cancel().
+     */
+    function createSpeechSynthesisBackend() {
+        let current = null;
+        return {
+            isAvailable: () => typeof speechSynthesis !== 'undefined' && typeof SpeechSynthesisUtterance === 'function',
+            speak(text, { rate, onBoundary, onEnd }) {
+                const utterance = new SpeechSynthesisUtterance(text);
+                utterance.rate = rate;
+                utterance.addEventListener('boundary', (e) => {
+                    if (e.name === 'word') onBoundary(e.charIndex, e.charLength || 0);
+                });
+                const finish = () => {
+                    if (current !== utterance) return;
+                    current = null;
+                    onEnd();
+                };
+                utterance.addEventListener('end', finish);
+                utterance.addEventListener('error', finish);
+                current = utterance;
+                speechSynthesis.cancel();
+                speechSynthesis.speak(utterance);
+            },
+            pause: () => speechSynthesis.pause(),
+            resume: () => speechSynthesis.resume(),
+            cancel() {
+                current = null;
+                speechSynthesis.cancel();
+            },
+        };
+    }
+
+    function getSpeechBackend() {
+        if (!speechBackend) speechBackend = createSpeechSynthesisBackend();
+        return speechBackend;
+    }
+
+    /**
+     * The text read aloud for a response and the text nodes it comes from
+     * (`segments`: { node, start } in text order). Code and other IGNORE_TAGS,
+     * screen reader twins and the extension's controls are left out. Inside a
+     * bionic wrapper the visible <b> and text nodes are mapped, so a word split
+     * over them is one stretch of the text and gets one highlight range.
+     */
+    function getSpeechText(block) {
+        const walker = document.createTreeWalker(block, NodeFilter.SHOW_TEXT, {
+            acceptNode: (node) => {
+                for (let element = node.parentElement; element && element !== block; element = element.parentElement) {
+                    if (CONFIG.IGNORE_TAGS.has(element.tagName) || element.matches('.bionic-sr-only, .bionic-block-controls, .bionic-progress')) {
+                        return NodeFilter.FILTER_REJECT;
+                    }
+                }
+                return NodeFilter.FILTER_ACCEPT;
+            },
+        });
+
+        const segments = [];
+        let text = '';
+        let lastContainer = null;
+        let node;
+        while (node = walker.nextNode()) {
+            // A line break between paragraphs, list items or cells makes the voice pause
+            let container = node.parentElement;
+            while (container !== block && CONFIG.INLINE_TAGS.has(container.tagName)) container = container.parentElement;
+            if (lastContainer && container !== lastContainer && text && !/\s$/.test(text)) text += '\n';
+
+            segments.push({ node, start: text.length });
+            text += node.nodeValue;
+            lastContainer = container;
+        }
+        return { text, segments };
+    }
+
+    /**
+     * Text node and offset of a position in the read-aloud text. An `end`
+     * position stays in the node it closes instead of moving to the next one.
+     */
+    function locateSpeechPosition(segments, index, end) {
+        let low = 0;
+        let high = segments.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (segments[mid].start < index || (!end && segments[mid].start === index)) low = mid;
+            else high = mid - 1;
+        }
+        const { node, start } = segments[low];
+        return { node, offset: Math.min(Math.max(0, index - start), node.nodeValue.length) };
+    }
+
+    function onSpeechBoundary(index, length) {
+        readAloud.wordStart = index;
+        let end = index + length;
+        if (length <= 0) {
+            const wordEnd = /\s|$/g;
+            wordEnd.lastIndex = index;
+            end = wordEnd.exec(readAloud.text).index;
+        }
+        highlightSpokenWord(index, end);
+    }
+
+    /**
+     * Paints the word being spoken with a single Range across its text nodes
+     * (::highlight(bionic-speech)), leaving the bionic markup untouched
+     */
+    function highlightSpokenWord(start, end) {
+        if (end <= start || !supportsHighlights()) return;
+
+        let from = locateSpeechPosition(readAloud.segments, start, false);
+        let to = locateSpeechPosition(readAloud.segments, end, true);
+        if (!from.node.isConnected || !to.node.isConnected) {
+            // Reprocessing replaced the text nodes; the text itself is unchanged
+            readAloud.segments = getSpeechText(readAloud.block).segments;
+            if (readAloud.segments.length === 0) return;
+            from = locateSpeechPosition(readAloud.segments, start, false);
+            to = locateSpeechPosition(readAloud.segments, end, true);
+        }
+
+        const range = new Range();
+        range.setStart(from.node, from.offset);
+        range.setEnd(to.node, to.offset);
+        if (!speechHighlight) {
+            speechHighlight = new Highlight();
+            CSS.highlights.set(CONFIG.SPEECH_HIGHLIGHT_NAME, speechHighlight);
+        }
+        speechHighlight.clear();
+        speechHighlight.add(range);
+    }
+
+    function clearSpeechHighlight() {
+        if (!speechHighlight) return;
+        speechHighlight.clear();
+        CSS.highlights.delete(CONFIG.SPEECH_HIGHLIGHT_NAME);
+        speechHighlight = null;
+    }
+
+    /**
+     * Reads a response aloud from the start, stopping whatever was being read.
+     * Returns false when there is nothing to read or no speech available.
+     */
+    function startReadAloud(block) {
+        stopReadAloud();
+        const backend = getSpeechBackend();
+        if (backend.isAvailable && !backend.isAvailable()) {
+            showToast('📖 Read aloud needs speech synthesis, which this browser doesn\'t provide');
+            return false;
+        }
+
+        const { text, segments } = getSpeechText(block);
+        if (!text.trim()) {
+            showToast('📖 Nothing to read aloud in this response');
+            return false;
+        }
+        if (!supportsHighlights()) logger.warn('CSS Custom Highlight API unavailable, reading aloud without word highlighting');
+
+        readAloud = { block, text, segments, wordStart: 0, paused: false, restartOnPlay: false, utterances: 0 };
+        renderSpeechPlayer();
+        speakFrom(0);
+        return true;
+    }
+
+    /**
+     * Speaks the rest of the text from `index`: at the start, and again from the
+     * current word when the speed changes
+     */
+    function speakFrom(index) {
+        const utterance = ++readAloud.utterances;
+        const isCurrent = () => readAloud && readAloud.utterances === utterance;
+        readAloud.wordStart = index;
+        readAloud.paused = false;
+        readAloud.restartOnPlay = false;
+
+        getSpeechBackend().speak(readAloud.text.slice(index), {
+            rate: settings.SPEECH_RATE,
+            onBoundary: (charIndex, charLength) => {
+                if (isCurrent()) onSpeechBoundary(index + charIndex, charLength);
+            },
+            onEnd: () => {
+                if (isCurrent()) stopReadAloud();
+            },
+        });
+        updateSpeechPlayer();
+    }
+
+    function toggleSpeechPause() {
+        if (!readAloud) return;
+        const backend = getSpeechBackend();
+        readAloud.paused = !readAloud.paused;
+        if (readAloud.paused) {
+            backend.pause();
+        } else {
+            // speechSynthesis stays paused through cancel(), so resume before a restart too
+            backend.resume();
+            if (readAloud.restartOnPlay) speakFrom(readAloud.wordStart);
+        }
+        updateSpeechPlayer();
+    }
+
+    function stepSpeechRate(delta) {
+        updateSettings({ SPEECH_RATE: Math.round((settings.SPEECH_RATE + delta) * 100) / 100 });
+    }
+
+    function stopReadAloud() {
+        if (!readAloud) return;
+        readAloud = null;
+        getSpeechBackend().cancel();
+        clearSpeechHighlight();
+        const player = document.getElementById('bionic-reading-speech');
+        if (player) player.remove();
+    }
+
+    /**
+     * The floating read-aloud player: play/pause, slower, speed, faster and stop
+     */
+    function renderSpeechPlayer() {
+        const existing = document.getElementById('bionic-reading-speech');
+        if (existing) existing.remove();
+        injectUiStyles();
+
+        const player = document.createElement('div');
+        player.id = 'bionic-reading-speech';
+        player.setAttribute('role', 'group');
+        player.setAttribute('aria-label', 'Read aloud');
+
+        const createButton = (text, label, onClick) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = text;
+            if (label) button.setAttribute('aria-label', label);
+            button.addEventListener('click', onClick);
+            return button;
+        };
+
+        const pauseButton = createButton('', null, toggleSpeechPause);
+        pauseButton.className = 'bionic-speech-pause';
+        const rate = document.createElement('span');
+        rate.className = 'bionic-speech-rate';
+        rate.title = 'Read-aloud speed';
+
+        player.append(
+            pauseButton,
+            createButton('−', 'Slower', () => stepSpeechRate(-CONFIG.SPEECH_RATE_STEP)),
+            rate,
+            createButton('+', 'Faster', () => stepSpeechRate(CONFIG.SPEECH_RATE_STEP)),
+            createButton('■', 'Stop reading', stopReadAloud),
+        );
+        document.body.appendChild(player);
+    }
+
+    function updateSpeechPlayer() {
+        const player = document.getElementById('bionic-reading-speech');
+        if (!player || !readAloud) return;
+        player.querySelector('.bionic-speech-pause').textContent = readAloud.paused ? '▶ Play' : '⏸ Pause';
+        player.querySelector('.bionic-speech-rate').textContent = `${settings.SPEECH_RATE}×`;
+    }
+
+    // =========================================================================
+    // 5. SETTINGS PANEL
+    // =========================================================================
+
+    function injectUiStyles() {
+        if (uiStyleElement) return;
+
+        uiStyleElement = document.createElement('style');
+        uiStyleElement.id = 'bionic-reading-ui-styles';
+        uiStyleElement.textContent = `
+            #bionic-reading-settings-button {
+                position: fixed;
+                right: 16px;
+                bottom: 96px;
+                width: 32px;
+                height: 32px;
+                border-radius: 50%;
+                border: 1px solid #374151;
+                background: #1f2937;
+                color: #f3f4f6;
+                font: 600 13px system-ui, -apple-system, sans-serif;
+                cursor: pointer;
+                opacity: 0.5;
+                z-index: 99998;
+                transition: opacity 0.2s;
+            }
+            #bionic-reading-settings-button:hover,
+            #bionic-reading-settings-button:focus-visible {
+                opacity: 1;
+            }
+            /* Sits before the response without taking space; toolbar and rail hang over the response */
+            .bionic-block-host {
+                position: relative;
+                height: 0;
+                z-index: 1;
+            }
+            .bionic-block-controls {
+                position: absolute;
+                top: 4px;
+                right: 4px;
+                display: flex;
+                gap: 4px;
+                opacity: 0;
+                transition: opacity 0.2s;
+            }
+            .bionic-block-controls:hover,
+            .bionic-block-controls:focus-within {
+                opacity: 1;
+            }
+            /* Own rule: browsers without :has() drop a whole selector list */
+            .bionic-block-host:has(+ :hover) > .bionic-block-controls {
+                opacity: 1;
+            }
+            .bionic-block-controls button,
+            #bionic-reading-export-menu button,
+            #bionic-reading-focus .bionic-focus-toolbar button {
+                padding: 2px 8px;
+                background: #1f2937;
+                color: #f3f4f6;
+                border: 1px solid #374151;
+                border-radius: 6px;
+                font: 500 12px system-ui, -apple-system, sans-serif;
+                cursor: pointer;
+            }
+            #bionic-reading-export-menu {
+                position: fixed;
+                display: flex;
+                flex-direction: column;
+                gap: 4px;
+                width: 120px;
+                z-index: 100000;
+            }
+            .bionic-block-controls .bionic-block-toggle[aria-pressed="false"] {
+                opacity: 0.6;
+                text-decoration: line-through;
+            }
+            .bionic-block-controls .bionic-reading-time {
+                align-self: center;
+                padding: 2px 8px;
+                background: #1f2937;
+                color: #d1d5db;
+                border-radius: 6px;
+                font: 500 12px system-ui, -apple-system, sans-serif;
+            }
+            .bionic-progress {
+                position: absolute;
+                top: 0;
+                left: -8px;
+                width: 3px;
+                border-radius: 2px;
+                background: rgba(107, 114, 128, 0.2);
+                pointer-events: none;
+            }
+            .bionic-progress > span {
+                display: block;
+                border-radius: 2px;
+                background: #3b82f6;
+            }
+            .bionic-progress-read > span {
+                background: #10b981;
+            }
+            ::highlight(${CONFIG.SPEECH_HIGHLIGHT_NAME}) {
+                background-color: rgba(250, 204, 21, 0.45);
+            }
+            #bionic-reading-speech {
+                position: fixed;
+                bottom: 24px;
+                left: 24px;
+                display: flex;
+                align-items: center;
+                gap: 4px;
+                padding: 6px;
+                background: #1f2937;
+                color: #f3f4f6;
+                border: 1px solid #374151;
+                border-radius: 8px;
+                box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1);
+                font: 500 14px system-ui, -apple-system, sans-serif;
+                z-index: 99999;
+            }
+            #bionic-reading-speech .bionic-speech-rate {
+                min-width: 3.5em;
+                text-align: center;
+                font-variant-numeric: tabular-nums;
+            }
+            #bionic-reading-resume {
+                position: fixed;
+                bottom: 24px;
+                left: 50%;
+                transform: translateX(-50%);
+                display: flex;
+                gap: 4px;
+                padding: 6px;
+                background: #1f2937;
+                border: 1px solid #374151;
+                border-radius: 8px;
+                box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1);
+                z-index: 99999;
+            }
+            #bionic-reading-speech button,
+            #bionic-reading-resume button {
+                padding: 4px 10px;
+                background: transparent;
+                color: #f3f4f6;
+                border: none;
+                border-radius: 6px;
+                font: 500 14px system-ui, -apple-system, sans-serif;
+                cursor: pointer;
+            }
+            #bionic-reading-speech button:hover,
+            #bionic-reading-speech button:focus-visible,
+            #bionic-reading-resume button:hover,
+            #bionic-reading-resume button:focus-visible {
+                background: #374151;
+            }
+            #bionic-reading-focus {
+                position: fixed;
+                inset: 0;
+                overflow-y: auto;
+                background: #fbfaf7;
+                color: #1f2937;
+                z-index: 100001;
+            }
+            ${CONFIG.SELECTORS.DARK_THEME} #bionic-reading-focus {
+                background: #111827;
+                color: #e5e7eb;
+            }
+            #bionic-reading-focus:focus {
+                outline: none;
+            }
+            #bionic-reading-focus .bionic-focus-toolbar {
+                position: sticky;
+                top: 0;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                gap: 8px;
+                padding: 8px;
+                background: inherit;
+                border-bottom: 1px solid rgba(127, 127, 127, 0.25);
+                font: 500 13px system-ui, -apple-system, sans-serif;
+                z-index: 2;
+            }
+            #bionic-reading-focus .bionic-focus-page {
+                position: relative;
+                padding: 48px 24px 40vh;
+            }
+            #bionic-reading-focus .bionic-focus-content {
+                position: relative;
+                margin: 0 auto;
+            }
+            #bionic-reading-focus .bionic-focus-ruler {
+                position: absolute;
+                left: 0;
+                right: 0;
+                background: rgba(250, 204, 21, 0.18);
+                border-block: 1px solid rgba(250, 204, 21, 0.35);
+                pointer-events: none;
+            }
+            #bionic-reading-focus .bionic-focus-ruler[hidden] {
+                display: none;
+            }
+            #bionic-reading-help {
+                position: fixed;
+                right: 24px;
+                bottom: 80px;
+                width: min(360px, calc(100vw - 48px));
+                max-height: calc(100vh - 120px);
+                overflow-y: auto;
+                background: #1f2937;
+                color: #f3f4f6;
+                border: 1px solid #374151;
+                border-radius: 12px;
+                padding: 16px;
+                font: 13px system-ui, -apple-system, sans-serif;
+                box-shadow: 0 10px 25px rgba(0, 0, 0, 0.3);
+                z-index: 99999;
+            }
+            #bionic-reading-help h2 {
+                display: flex;
+                justify-content: space-between;
+                margin: 0 0 8px;
+                font-size: 14px;
+                font-weight: 600;
+            }
+            #bionic-reading-help button {
+                background: none;
+                border: none;
+                color: inherit;
+                cursor: pointer;
+            }
+            #bionic-reading-help dl {
+                margin: 0;
+            }
+            #bionic-reading-help dt {
+                margin-top: 8px;
+            }
+            #bionic-reading-help dd {
+                margin: 2px 0 0;
+                color: #9ca3af;
+            }
+            #bionic-reading-settings-overlay {
+                position: fixed;
+                inset: 0;
+                background: rgba(0, 0, 0, 0.4);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                z-index: 100000;
+            }
+            #bionic-reading-settings-panel {
+                width: min(420px, calc(100vw - 32px));
+                max-height: calc(100vh - 64px);
+                overflow-y: auto;
+                background: #1f2937;
+                color: #f3f4f6;
+                border: 1px solid #374151;
+                border-radius: 12px;
+                padding: 20px;
+                font-family: system-ui, -apple-system, sans-serif;
+                font-size: 14px;
+                box-shadow: 0 10px 25px rgba(0, 0, 0, 0.3);
+            }
+            #bionic-reading-settings-panel h2 {
+                margin: 0 0 16px;
+                font-size: 16px;
+                font-weight: 600;
+            }
+            #bionic-reading-settings-panel .bionic-field {
+                display: flex;
+                align-items: center;
+                justify-content: space-between;
+                gap: 12px;
+                margin-bottom: 12px;
+            }
+            #bionic-reading-settings-panel input[type="text"],
+            #bionic-reading-settings-panel input[type="number"],
+            #bionic-reading-settings-panel select {
+                width: 180px;
+                padding: 4px 8px;
+                background: #111827;
+                color: inherit;
+                border: 1px solid #374151;
+                border-radius: 6px;
+            }
+            #bionic-reading-settings-panel input[type="range"] {
+                width: 130px;
+            }
+            #bionic-reading-settings-panel h3 {
+                margin: 20px 0 4px;
+                font-size: 14px;
+                font-weight: 600;
+            }
+            #bionic-reading-settings-panel .bionic-hint {
+                margin: 0 0 8px;
+                color: #9ca3af;
+                font-size: 12px;
+            }
+            #bionic-reading-settings-panel .bionic-rule {
+                display: grid;
+                grid-template-columns: repeat(3, 1fr);
+                gap: 6px;
+                padding: 8px 0;
+                border-top: 1px solid #374151;
+            }
+            #bionic-reading-settings-panel .bionic-rule input,
+            #bionic-reading-settings-panel .bionic-rule select {
+                width: 100%;
+                box-sizing: border-box;
+            }
+            #bionic-reading-settings-panel .bionic-skip-rules {
+                display: grid;
+                grid-template-columns: repeat(2, 1fr);
+                gap: 4px 12px;
+                margin-bottom: 8px;
+                font-size: 13px;
+            }
+            #bionic-reading-settings-panel .bionic-skip-pattern {
+                grid-template-columns: auto 1fr auto;
+                align-items: center;
+            }
+            #bionic-reading-settings-panel .bionic-skip-pattern input[type="checkbox"] {
+                width: auto;
+            }
+            #bionic-reading-settings-panel .bionic-target input[type="number"] {
+                width: 80px;
+            }
+            #bionic-reading-settings-panel .bionic-structure-rule {
+                display: grid;
+                grid-template-columns: 1fr auto 72px 130px;
+                gap: 6px;
+                margin-bottom: 6px;
+                font-size: 13px;
+            }
+            #bionic-reading-settings-panel .bionic-structure-rule select,
+            #bionic-reading-settings-panel .bionic-structure-rule input {
+                width: 100%;
+                box-sizing: border-box;
+            }
+            #bionic-reading-settings-panel .bionic-shortcut {
+                display: grid;
+                grid-template-columns: 1fr 150px auto;
+                align-items: center;
+                gap: 6px;
+                margin-bottom: 6px;
+            }
+            #bionic-reading-settings-panel .bionic-shortcut input[type="text"] {
+                width: 100%;
+                box-sizing: border-box;
+                cursor: pointer;
+            }
+            #bionic-reading-settings-panel .bionic-warning {
+                grid-column: 1 / -1;
+                margin: 0;
+                color: #fbbf24;
+            }
+            #bionic-reading-settings-panel .bionic-warning:empty {
+                display: none;
+            }
+            #bionic-reading-settings-panel .bionic-actions {
+                display: flex;
+                justify-content: flex-end;
+                gap: 8px;
+                margin-top: 16px;
+            }
+            #bionic-reading-settings-panel button {
+                padding: 6px 14px;
+                background: #374151;
+                color: inherit;
+                border: none;
+                border-radius: 6px;
+                cursor: pointer;
+            }
+            #bionic-reading-settings-panel button:hover {
+                background: #4b5563;
+            }
+        `;
+        document.head.appendChild(uiStyleElement);
+    }
+
+    function renderSettingsButton() {
+        if (!settings.SHOW_SETTINGS_BUTTON) {
+            if (settingsButton) {
+                settingsButton.remove();
+                settingsButton = null;
+            }
+            return;
+        }
+        if (settingsButton) return;
+
+        injectUiStyles();
+        settingsButton = document.createElement('button');
+        settingsButton.id = 'bionic-reading-settings-button';
+        settingsButton.type = 'button';
+        settingsButton.textContent = 'Aa';
+        settingsButton.title = 'Bionic Reading settings';
+        settingsButton.setAttribute('aria-label', 'Bionic Reading settings');
+        settingsButton.addEventListener('click', openSettingsPanel);
+        document.body.appendChild(settingsButton);
+    }
+
+    /**
+     * Builds the input for one SETTINGS_SCHEMA entry. Values are applied on
+     * `change` so dragging the ratio slider doesn't reprocess on every step.
+     */
+    function createSettingField(key) {
+        const schema = SETTINGS_SCHEMA[key];
+        const field = document.createElement('label');
+        field.className = 'bionic-field';
+
+        const label = document.createElement('span');
+        label.textContent = schema.label;
+        field.appendChild(label);
+
+        if (schema.type === 'enum') {
+            const select = document.createElement('select');
+            select.name = key;
+            for (const option of schema.options) {
+                const item = document.createElement('option');
+                item.value = option;
+                item.textContent = schema.labels?.[option] || option;
+                select.appendChild(item);
+            }
+            select.value = settings[key];
+            select.addEventListener('change', () => updateSettings({ [key]: select.value }));
+            field.appendChild(select);
+            return field;
+        }
+
+        const input = document.createElement('input');
+        input.name = key;
+
+        if (schema.type === 'boolean') {
+            input.type = 'checkbox';
+            input.checked = settings[key];
+            input.addEventListener('change', () => updateSettings({ [key]: input.checked }));
+            field.appendChild(input);
+            return field;
+        }
+
+        if (schema.type === 'number') {
+            input.type = key === 'BOLD_RATIO' ? 'range' : 'number';
+            input.min = schema.min;
+            input.max = schema.max;
+            input.step = schema.step;
+        } else {
+            input.type = 'text';
+            input.placeholder = 'TypingMind default';
+        }
+        input.value = settings[key] === null ? '' : settings[key];
+
+        if (input.type === 'range') {
+            const wrapper = document.createElement('span');
+            const output = document.createElement('output');
+            output.textContent = Math.round(settings[key] * 100) + '%';
+            input.addEventListener('input', () => {
+                output.textContent = Math.round(input.value * 100) + '%';
+            });
+            wrapper.append(input, ' ', output);
+            field.appendChild(wrapper);
+        } else {
+            field.appendChild(input);
+        }
+
+        input.addEventListener('change', () => {
+            updateSettings({ [key]: input.value });
+            // Show the sanitized value (clamped numbers, trimmed font names)
+            input.value = settings[key] === null ? '' : settings[key];
+        });
+        return field;
+    }
+
+    function createRuleRow(rule, index) {
+        const row = document.createElement('div');
+        row.className = 'bionic-rule';
+
+        const update = (patch) => {
+            const rules = enableRules.slice();
+            rules[index] = { ...rules[index], ...patch };
+            setRules(rules);
+        };
+
+        const action = document.createElement('select');
+        action.setAttribute('aria-label', 'Rule action');
+        for (const [value, label] of [['enable', 'Enable'], ['disable', 'Disable']]) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            action.appendChild(option);
+        }
+        action.value = rule.action;
+        action.addEventListener('change', () => update({ action: action.value }));
+        row.appendChild(action);
+
+        const conditions = [
+            ['chatId', 'Chat ID', 'text'],
+            ['model', 'Model contains', 'text'],
+            ['agent', 'Agent contains', 'text'],
+            ['minChars', 'Min chars', 'number'],
+            ['maxChars', 'Max chars', 'number'],
+        ];
+        for (const [key, placeholder, type] of conditions) {
+            const input = document.createElement('input');
+            input.type = type;
+            input.placeholder = placeholder;
+            input.setAttribute('aria-label', placeholder);
+            if (type === 'number') input.min = 0;
+            input.value = rule[key] ?? '';
+            input.addEventListener('change', () => update({ [key]: input.value }));
+            row.appendChild(input);
+        }
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.textContent = '✕';
+        remove.title = 'Remove rule';
+        remove.setAttribute('aria-label', 'Remove rule');
+        remove.addEventListener('click', () => {
+            setRules(enableRules.filter((_, i) => i !== index));
+            renderRulesList();
+        });
+        row.appendChild(remove);
+
+        return row;
+    }
+
+    function renderRulesList() {
+        const list = document.getElementById('bionic-reading-rules');
+        if (!list) return;
+
+        list.textContent = '';
+        if (enableRules.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'bionic-hint';
+            empty.textContent = 'No rules: every response follows the main toggle.';
+            list.appendChild(empty);
+            return;
+        }
+        enableRules.forEach((rule, index) => list.appendChild(createRuleRow(rule, index)));
+    }
+
+    function createRulesSection() {
+        const section = document.createElement('section');
+
+        const heading = document.createElement('h3');
+        heading.textContent = 'Rules';
+        section.appendChild(heading);
+
+        const hint = document.createElement('p');
+        hint.className = 'bionic-hint';
+        hint.textContent = 'The first matching rule decides whether a response is formatted. Empty fields match anything.';
+        section.appendChild(hint);
+
+        const list = document.createElement('div');
+        list.id = 'bionic-reading-rules';
+        section.appendChild(list);
+
+        const actions = document.createElement('div');
+        actions.className = 'bionic-actions';
+
+        const addButton = document.createElement('button');
+        addButton.type = 'button';
+        addButton.textContent = 'Add rule';
+        addButton.addEventListener('click', () => {
+            // A rule without conditions matches everything: start with one that changes nothing
+            setRules([...enableRules, { action: 'enable' }]);
+            renderRulesList();
+        });
+
+        const chatButton = document.createElement('button');
+        chatButton.type = 'button';
+        chatButton.textContent = 'Add rule for this chat';
+        chatButton.addEventListener('click', () => {
+            const chatId = getCurrentChatId();
+            if (!chatId) {
+                showToast('📖 No chat ID found in the URL');
+                return;
+            }
+            setRules([...enableRules, { action: 'disable', chatId }]);
+            renderRulesList();
+        });
+
+        actions.append(addButton, chatButton);
+        section.appendChild(actions);
+        return section;
+    }
+
+    function createSkipPatternRow(custom, index) {
+        const row = document.createElement('div');
+        row.className = 'bionic-rule bionic-skip-pattern';
+
+        const update = (patch) => {
+            const list = skipRuleConfig.custom.slice();
+            list[index] = { ...list[index], ...patch };
+            setSkipRules({ ...skipRuleConfig, custom: list });
+        };
+
+        const enabled = document.createElement('input');
+        enabled.type = 'checkbox';
+        enabled.checked = custom.enabled;
+        enabled.title = 'Use this pattern';
+        enabled.setAttribute('aria-label', 'Use this pattern');
+        enabled.addEventListener('change', () => update({ enabled: enabled.checked }));
+
+        const warning = document.createElement('p');
+        warning.className = 'bionic-hint bionic-warning';
+        const showWarning = (pattern) => {
+            warning.textContent = pattern.trim() && !compileSkipPattern(pattern) ? '⚠ Invalid regular expression' : '';
+        };
+        showWarning(custom.pattern);
+
+        const pattern = document.createElement('input');
+        pattern.type = 'text';
+        pattern.placeholder = '^JIRA-\\d+$ or /^todo$/i';
+        pattern.setAttribute('aria-label', 'Skip pattern');
+        pattern.value = custom.pattern;
+        pattern.addEventListener('input', () => showWarning(pattern.value));
+        pattern.addEventListener('change', () => update({ pattern: pattern.value }));
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.textContent = '✕';
+        remove.title = 'Remove pattern';
+        remove.setAttribute('aria-label', 'Remove pattern');
+        remove.addEventListener('click', () => {
+            setSkipRules({ ...skipRuleConfig, custom: skipRuleConfig.custom.filter((_, i) => i !== index) });
+            renderSkipPatternList();
+        });
+
+        row.append(enabled, pattern, remove, warning);
+        return row;
+    }
+
+    function renderSkipPatternList() {
+        const list = document.getElementById('bionic-reading-skip-patterns');
+        if (!list) return;
+
+        list.textContent = '';
+        skipRuleConfig.custom.forEach((custom, index) => list.appendChild(createSkipPatternRow(custom, index)));
+    }
+
+    function createSkipRulesSection() {
+        const section = document.createElement('section');
+
+        const heading = document.createElement('h3');
+        heading.textContent = 'Skipped tokens';
+        section.appendChild(heading);
+
+        const hint = document.createElement('p');
+        hint.className = 'bionic-hint';
+        hint.textContent = 'Words matching a checked rule stay unformatted. Custom patterns are regular expressions tested on the word without surrounding punctuation.';
+        section.appendChild(hint);
+
+        const rules = document.createElement('div');
+        rules.className = 'bionic-skip-rules';
+        for (const rule of SKIP_RULES) {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = typeof skipRuleConfig.rules[rule.id] === 'boolean' ? skipRuleConfig.rules[rule.id] : rule.enabled;
+            checkbox.addEventListener('change', () => {
+                setSkipRules({ ...skipRuleConfig, rules: { ...skipRuleConfig.rules, [rule.id]: checkbox.checked } });
+            });
+            label.append(checkbox, ' ', rule.label);
+            rules.appendChild(label);
+        }
+        section.appendChild(rules);
+
+        const list = document.createElement('div');
+        list.id = 'bionic-reading-skip-patterns';
+        section.appendChild(list);
+
+        const actions = document.createElement('div');
+        actions.className = 'bionic-actions';
+        const addButton = document.createElement('button');
+        addButton.type = 'button';
+        addButton.textContent = 'Add pattern';
+        addButton.addEventListener('click', () => {
+            setSkipRules({ ...skipRuleConfig, custom: [...skipRuleConfig.custom, { pattern: '', enabled: true }] });
+            renderSkipPatternList();
+        });
+        actions.appendChild(addButton);
+        section.appendChild(actions);
+        return section;
+    }
+
+    function createTargetRow(target) {
+        const row = document.createElement('div');
+        row.className = 'bionic-field bionic-target';
+
+        const label = document.createElement('label');
+        const enabled = document.createElement('input');
+        enabled.type = 'checkbox';
+        enabled.checked = target.enabled;
+        enabled.addEventListener('change', () => updateTarget(target.id, { enabled: enabled.checked }));
+        label.append(enabled, ' ', target.label);
+
+        const schema = SETTINGS_SCHEMA.BOLD_RATIO;
+        const ratio = document.createElement('input');
+        ratio.type = 'number';
+        ratio.min = schema.min;
+        ratio.max = schema.max;
+        ratio.step = schema.step;
+        ratio.placeholder = 'Global';
+        ratio.title = 'Bold ratio for this surface (empty uses the global ratio)';
+        ratio.setAttribute('aria-label', `${target.label} bold ratio`);
+        ratio.value = target.ratio ?? '';
+        ratio.addEventListener('change', () => {
+            updateTarget(target.id, { ratio: ratio.value });
+            ratio.value = target.ratio ?? '';
+        });
+
+        row.append(label, ratio);
+        return row;
+    }
+
+    function createSelect(ariaLabel, choices, value) {
+        const select = document.createElement('select');
+        select.setAttribute('aria-label', ariaLabel);
+        for (const [optionValue, label] of choices) {
+            const option = document.createElement('option');
+            option.value = optionValue;
+            option.textContent = label;
+            select.appendChild(option);
+        }
+        select.value = value;
+        return select;
+    }
+
+    function createStructureRow(rule) {
+        const row = document.createElement('div');
+        row.className = 'bionic-field bionic-structure-rule';
+
+        const label = document.createElement('span');
+        label.textContent = rule.label;
+
+        const action = createSelect(`${rule.label}: formatting`, [['format', 'Format'], ['skip', 'Skip']], rule.action);
+
+        const schema = SETTINGS_SCHEMA.BOLD_RATIO;
+        const ratio = document.createElement('input');
+        ratio.type = 'number';
+        ratio.min = schema.min;
+        ratio.max = schema.max;
+        ratio.step = schema.step;
+        ratio.placeholder = 'Default';
+        ratio.title = 'Bold ratio for this element (empty uses the surface or global ratio)';
+        ratio.setAttribute('aria-label', `${rule.label} bold ratio`);
+        ratio.value = rule.ratio ?? '';
+
+        const modes = Object.entries(FIXATION_STRATEGIES).map(([mode, strategy]) => [mode, strategy.label]);
+        const mode = createSelect(`${rule.label} fixation algorithm`, [['', 'Global algorithm'], ...modes], rule.mode ?? '');
+
+        const syncDisabled = () => {
+            ratio.disabled = mode.disabled = rule.action === 'skip';
+        };
+        action.addEventListener('change', () => {
+            updateStructureRule(rule.id, { action: action.value });
+            syncDisabled();
+        });
+        ratio.addEventListener('change', () => {
+            updateStructureRule(rule.id, { ratio: ratio.value });
+            ratio.value = rule.ratio ?? '';
+        });
+        mode.addEventListener('change', () => updateStructureRule(rule.id, { mode: mode.value }));
+        syncDisabled();
+
+        row.append(label, action, ratio, mode);
+        return row;
+    }
+
+    function createStructureSection() {
+        const section = document.createElement('section');
+        section.id = 'bionic-reading-structure';
+
+        const heading = document.createElement('h3');
+        heading.textContent = 'Page structure';
+        section.appendChild(heading);
+
+        const hint = document.createElement('p');
+        hint.className = 'bionic-hint';
+        hint.textContent = 'Skip an element type or give it its own ratio or algorithm. Text anywhere inside a skipped element stays plain.';
+        section.appendChild(hint);
+
+        structureRules.forEach(rule => section.appendChild(createStructureRow(rule)));
+        return section;
+    }
+
+    function createProfilesSection() {
+        const section = document.createElement('section');
+        section.id = 'bionic-reading-profiles';
+
+        const heading = document.createElement('h3');
+        heading.textContent = 'Profiles';
+        section.appendChild(heading);
+
+        const hint = document.createElement('p');
+        hint.className = 'bionic-hint';
+        hint.textContent = 'Named sets of the settings below, e.g. one per reader. Changes are saved to the selected profile.';
+        section.appendChild(hint);
+
+        // Panel contents depend on the active profile, so every change re-renders it
+        const done = (error, message) => {
+            if (error) {
+                showToast(`📖 ${error}`);
+                return;
+            }
+            openSettingsPanel();
+            if (message) showToast(`📖 ${message}`);
+        };
+
+        const current = document.createElement('label');
+        current.className = 'bionic-field';
+        const currentLabel = document.createElement('span');
+        currentLabel.textContent = 'Active profile';
+        const names = getProfileNames();
+        const select = createSelect('Active profile', names.map(name => [name, name]), settingsStore.activeProfile);
+        select.addEventListener('change', () => done(switchProfile(select.value), `Profile: ${select.value}`));
+        current.append(currentLabel, select);
+        section.appendChild(current);
+
+        const saveRow = document.createElement('div');
+        saveRow.className = 'bionic-field';
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.placeholder = 'New profile name';
+        nameInput.maxLength = CONFIG.PROFILE_NAME_MAX_LENGTH;
+        nameInput.setAttribute('aria-label', 'New profile name');
+        const saveButton = document.createElement('button');
+        saveButton.type = 'button';
+        saveButton.textContent = 'Save as profile';
+        saveButton.addEventListener('click', () => done(saveProfileAs(nameInput.value), `Saved profile "${nameInput.value.trim()}"`));
+        saveRow.append(nameInput, saveButton);
+        section.appendChild(saveRow);
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,application/json';
+        fileInput.hidden = true;
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+            const error = importProfile(await file.text(), file.name.replace(/\.json$/i, ''));
+            if (error) showToast(`📖 Import failed: ${error}`);
+            else openSettingsPanel();
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'bionic-actions';
+        const buttons = [
+            ['Delete', () => done(deleteProfile(settingsStore.activeProfile), `Profile: ${settingsStore.activeProfile}`)],
+            ['Export file', () => exportProfileFile()],
+            ['Copy JSON', () => copyProfile()],
+            ['Import file', () => fileInput.click()],
+            ['Paste JSON', async () => {
+                if (await pasteProfile()) openSettingsPanel();
+            }],
+        ];
+        for (const [label, onClick] of buttons) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = label;
+            button.addEventListener('click', onClick);
+            actions.appendChild(button);
+        }
+        if (names.length <= 1) actions.firstChild.disabled = true;
+        actions.appendChild(fileInput);
+        section.appendChild(actions);
+        return section;
+    }
+
+    function createReadingProgressSection() {
+        const section = document.createElement('section');
+        section.id = 'bionic-reading-progress';
+
+        const heading = document.createElement('h3');
+        heading.textContent = 'Reading progress';
+        section.appendChild(heading);
+
+        const chatCount = Object.keys(readingProgress).length;
+        const hint = document.createElement('p');
+        hint.className = 'bionic-hint';
+        hint.textContent = `Read responses and the last reading position are stored on this device, currently for ${chatCount} chat${chatCount === 1 ? '' : 's'}.`;
+        section.appendChild(hint);
+
+        const chatId = getCurrentChatId();
+        const actions = document.createElement('div');
+        actions.className = 'bionic-actions';
+        const buttons = [
+            ['Clear this chat', chatId, !readingProgress[chatId]],
+            ['Clear all chats', null, chatCount === 0],
+        ];
+        for (const [label, clearedChatId, disabled] of buttons) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = label;
+            button.disabled = disabled;
+            button.addEventListener('click', () => {
+                clearReadingProgress(clearedChatId);
+                openSettingsPanel();
+                showToast('📖 Reading progress cleared');
+            });
+            actions.appendChild(button);
+        }
+        section.appendChild(actions);
+        return section;
+    }
+
+    function createTargetsSection() {
+        const section = document.createElement('section');
+
+        const heading = document.createElement('h3');
+        heading.textContent = 'Surfaces';
+        section.appendChild(heading);
+
+        const hint = document.createElement('p');
+        hint.className = 'bionic-hint';
+        hint.textContent = 'Where formatting is applied. Leave the ratio empty to use the global bold ratio.';
+        section.appendChild(hint);
+
+        activeTargets.forEach(target => section.appendChild(createTargetRow(target)));
+        return section;
+    }
+
+    function createShortcutRow(id) {
+        const action = SHORTCUT_ACTIONS[id];
+        const binding = shortcutBindings[id];
+
+        const row = document.createElement('div');
+        row.className = 'bionic-shortcut';
+
+        const label = document.createElement('span');
+        label.textContent = action.label;
+
+        // Read-only field that records the next key combination pressed in it
+        const recorder = document.createElement('input');
+        recorder.type = 'text';
+        recorder.readOnly = true;
+        recorder.value = formatShortcut(binding.keys);
+        recorder.title = 'Focus and press a key combination. Backspace clears it.';
+        recorder.setAttribute('aria-label', `${action.label} shortcut`);
+
+        const inInput = document.createElement('label');
+        const inInputBox = document.createElement('input');
+        inInputBox.type = 'checkbox';
+        inInputBox.checked = binding.allowInInput;
+        inInputBox.addEventListener('change', () => setShortcut(id, { allowInInput: inInputBox.checked }));
+        inInput.append(inInputBox, ' In inputs');
+        inInput.title = 'Also fire while typing in the chat input or another text field';
+
+        const warning = document.createElement('p');
+        warning.className = 'bionic-hint bionic-warning';
+
+        const showConflicts = (conflicts) => {
+            warning.textContent = conflicts.length > 0 ? `⚠ Also used by ${conflicts.join(', ')}` : '';
+        };
+        showConflicts(getShortcutConflicts(id));
+
+        recorder.addEventListener('keydown', (e) => {
+            if (e.key === 'Tab' || e.key === 'Escape') return;
+            e.preventDefault();
+            e.stopPropagation();
+
+            if (e.key === 'Backspace' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+                showConflicts(setShortcut(id, { keys: null }));
+            } else {
+                const keys = normalizeShortcut(eventToShortcut(e));
+                if (!keys) {
+                    if (e.code && !/^(Shift|Control|Alt|Meta|OS)/.test(e.code)) {
+                        warning.textContent = 'Shortcuts need Ctrl, Cmd or Alt';
                     }
-                    return NodeFilter.FILTER_ACCEPT;
+                    return;
                 }
+                showConflicts(setShortcut(id, { keys }));
             }
-        );
-        
-        let node;
-        while (node = walker.nextNode()) {
-            queueNode(node);
-        }
+            recorder.value = formatShortcut(shortcutBindings[id].keys);
+        });
+
+        row.append(label, recorder, inInput, warning);
+        return row;
     }
 
-    // =========================================================================
-    // 4. OBSERVERS & EVENTS
-    // =========================================================================
+    function createShortcutsSection() {
+        const section = document.createElement('section');
+        section.id = 'bionic-reading-shortcuts';
 
-    function injectStyles() {
-        if (styleElement) return;
-        if (!CONFIG.FONT_FAMILY) return;
+        const heading = document.createElement('h3');
+        heading.textContent = 'Keyboard shortcuts';
+        section.appendChild(heading);
 
-        styleElement = document.createElement('style');
-        styleElement.id = 'bionic-reading-styles';
-        styleElement.textContent = `
-            ${CONFIG.SELECTORS.RESPONSE_BLOCK} {
-                font-family: ${CONFIG.FONT_FAMILY} !important;
-            }
-            ${CONFIG.SELECTORS.RESPONSE_BLOCK} pre, 
-            ${CONFIG.SELECTORS.RESPONSE_BLOCK} code {
-                font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", "Courier New", monospace !important;
-            }
-        `;
-        document.head.appendChild(styleElement);
-    }
+        const hint = document.createElement('p');
+        hint.className = 'bionic-hint';
+        hint.textContent = 'Click a shortcut and press new keys; Backspace removes it.';
+        section.appendChild(hint);
 
-    function removeStyles() {
-        if (styleElement) {
-            styleElement.remove();
-            styleElement = null;
+        for (const id of Object.keys(SHORTCUT_ACTIONS)) {
+            section.appendChild(createShortcutRow(id));
         }
-    }
 
-    function revertAllProcessing() {
-        const wrappers = document.querySelectorAll('.bionic-text-wrapper');
-        for (let i = 0; i < wrappers.length; i++) {
-            const span = wrappers[i];
-            if (span.parentNode) {
-                const text = span.textContent;
-                const textNode = document.createTextNode(text);
-                span.parentNode.replaceChild(textNode, span);
-            }
-        }
-        removeStyles();
+        const actions = document.createElement('div');
+        actions.className = 'bionic-actions';
+        const resetButton = document.createElement('button');
+        resetButton.type = 'button';
+        resetButton.textContent = 'Reset shortcuts';
+        resetButton.addEventListener('click', () => {
+            resetShortcuts();
+            section.replaceWith(createShortcutsSection());
+        });
+        actions.appendChild(resetButton);
+        section.appendChild(actions);
+        return section;
     }
 
-    function processExistingContent() {
-        const blocks = document.querySelectorAll(CONFIG.SELECTORS.RESPONSE_BLOCK);
-        blocks.forEach(block => processElement(block));
+    function closeSettingsPanel() {
+        const overlay = document.getElementById('bionic-reading-settings-overlay');
+        if (overlay) overlay.remove();
     }
 
-    function observeResponseBlock(block) {
-        if (responseBlockCache.has(block)) return;
-        responseBlockCache.add(block);
-
-        const blockObserver = new MutationObserver((mutations) => {
-            if (!isEnabled) return;
+    function openSettingsPanel() {
+        closeSettingsPanel();
+        injectUiStyles();
 
-            for (const mutation of mutations) {
-                if (mutation.type === 'childList') {
-                    for (let i = 0; i < mutation.addedNodes.length; i++) {
-                        const node = mutation.addedNodes[i];
-                        
-                        if (node.nodeType === Node.TEXT_NODE) {
-                            queueNode(node);
-                        } else if (node.nodeType === Node.ELEMENT_NODE) {
-                            processElement(node);
-                        }
-                    }
-                }
-                // Handle text updates (streaming)
-                else if (mutation.type === 'characterData') {
-                    // Update timestamp for this node
-                    markNodeStreaming(mutation.target);
-                }
+        const overlay = document.createElement('div');
+        overlay.id = 'bionic-reading-settings-overlay';
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) closeSettingsPanel();
+        });
+        overlay.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                closeSettingsPanel();
             }
         });
 
-        blockObserver.observe(block, {
-            childList: true,
-            subtree: true,
-            characterData: true // Needed to detect streaming updates
+        const panel = document.createElement('div');
+        panel.id = 'bionic-reading-settings-panel';
+        panel.setAttribute('role', 'dialog');
+        panel.setAttribute('aria-modal', 'true');
+        panel.setAttribute('aria-label', 'Bionic Reading settings');
+
+        const title = document.createElement('h2');
+        title.textContent = '📖 Bionic Reading';
+        panel.appendChild(title);
+
+        const enabledField = document.createElement('label');
+        enabledField.className = 'bionic-field';
+        const enabledLabel = document.createElement('span');
+        enabledLabel.textContent = 'Enabled';
+        const enabledInput = document.createElement('input');
+        enabledInput.type = 'checkbox';
+        enabledInput.name = 'enabled';
+        enabledInput.checked = isEnabled;
+        enabledInput.addEventListener('change', () => {
+            if (enabledInput.checked !== isEnabled) toggleExtension();
+        });
+        enabledField.append(enabledLabel, enabledInput);
+        panel.appendChild(enabledField);
+        panel.appendChild(createProfilesSection());
+
+        const fields = document.createElement('div');
+        for (const key of Object.keys(SETTINGS_SCHEMA)) {
+            fields.appendChild(createSettingField(key));
+        }
+        panel.appendChild(fields);
+        panel.appendChild(createTargetsSection());
+        panel.appendChild(createStructureSection());
+        panel.appendChild(createRulesSection());
+        panel.appendChild(createSkipRulesSection());
+        panel.appendChild(createShortcutsSection());
+        panel.appendChild(createReadingProgressSection());
+
+        const actions = document.createElement('div');
+        actions.className = 'bionic-actions';
+
+        const resetButton = document.createElement('button');
+        resetButton.type = 'button';
+        resetButton.textContent = 'Reset to defaults';
+        resetButton.addEventListener('click', () => {
+            resetSettings();
+            openSettingsPanel(); // Re-render with the default values
+            showToast('📖 Settings reset to defaults');
+        });
+
+        const diagnoseButton = document.createElement('button');
+        diagnoseButton.type = 'button';
+        diagnoseButton.textContent = 'Diagnose';
+        diagnoseButton.addEventListener('click', () => {
+            closeSettingsPanel();
+            showDiagnosticsCard();
         });
 
-        block._bionicObserver = blockObserver;
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.textContent = 'Close';
+        closeButton.addEventListener('click', closeSettingsPanel);
+
+        actions.append(resetButton, diagnoseButton, closeButton);
+        panel.appendChild(actions);
+
+        overlay.appendChild(panel);
+        document.body.appendChild(overlay);
+        renderRulesList();
+        renderSkipPatternList();
+        closeButton.focus();
     }
 
-    function setupGlobalObserver() {
-        if (observer) observer.disconnect();
+    // =========================================================================
+    // 6. PUBLIC API
+    // =========================================================================
 
-        intersectionObserver = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting && isEnabled) {
-                    observeResponseBlock(entry.target);
-                    processElement(entry.target);
-                }
-            });
-        }, { rootMargin: '100px' });
+    /**
+     * `window.BionicReading`, for other extensions (TTS, translation, custom renderers).
+     * Also see the `bionic:enabled`, `bionic:disabled` and `bionic:processed` events.
+     */
+    const publicApi = Object.freeze({
+        version: '3.2',
 
-        const existingBlocks = document.querySelectorAll(CONFIG.SELECTORS.RESPONSE_BLOCK);
-        existingBlocks.forEach(block => intersectionObserver.observe(block));
+        /** Turns formatting on. Returns the new state. */
+        enable() {
+            if (!isEnabled) toggleExtension();
+            return isEnabled;
+        },
 
-        observer = new MutationObserver((mutations) => {
-            if (!isEnabled) return;
+        /** Turns formatting off and reverts the page. Returns the new state. */
+        disable() {
+            if (isEnabled) toggleExtension();
+            return isEnabled;
+        },
 
-            for (const mutation of mutations) {
-                if (mutation.type === 'childList') {
-                    for (let i = 0; i < mutation.addedNodes.length; i++) {
-                        const node = mutation.addedNodes[i];
-                        if (node.nodeType === Node.ELEMENT_NODE) {
-                            if (node.matches && node.matches(CONFIG.SELECTORS.RESPONSE_BLOCK)) {
-                                intersectionObserver.observe(node);
-                            }
-                            const blocks = node.querySelectorAll?.(CONFIG.SELECTORS.RESPONSE_BLOCK);
-                            if (blocks) {
-                                blocks.forEach(block => intersectionObserver.observe(block));
-                            }
-                        }
-                    }
-                }
+        /** Flips the main toggle. Returns the new state. */
+        toggle() {
+            toggleExtension();
+            return isEnabled;
+        },
+
+        isEnabled() {
+            return isEnabled;
+        },
+
+        /**
+         * Formats `element` again from its current text, e.g. after another
+         * extension rewrote it, and lifts a previous `revert(element)`.
+         * Returns false while formatting is off.
+         */
+        process(element) {
+            if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+                throw new TypeError('BionicReading.process() expects an element');
             }
-        });
+            suspendedElements.delete(element);
+            if (!isEnabled) return false;
 
-        observer.observe(document.body, {
-            childList: true,
-            subtree: true,
-        });
+            revertElement(element);
+            blockLanguageCache.delete(getTargetRoot(element) || element);
+            processElement(element);
+            return true;
+        },
+
+        /**
+         * Puts the original text back in `element` (or every target when omitted)
+         * and keeps it plain until `process(element)` is called
+         */
+        revert(element) {
+            const elements = element ? [element] : Array.from(queryTargetRoots());
+            for (const el of elements) {
+                suspendedElements.add(el);
+                revertElement(el);
+            }
+            hasSuspendedElements = hasSuspendedElements || elements.length > 0;
+        },
+
+        /**
+         * Fixation segments for a string: `[{ text, bold }]`. Nothing is rendered.
+         */
+        transform(text) {
+            const value = String(text ?? '');
+            return transformText(value, getFixationOptions(detectLanguage(value)));
+        },
+
+        /**
+         * Applies and saves a partial settings object (same keys as USER_SETTINGS).
+         * Returns the keys that changed; invalid values are ignored.
+         */
+        configure(partialSettings) {
+            return updateSettings(partialSettings || {});
+        },
+
+        /** A copy of the current settings */
+        getSettings() {
+            return { ...settings };
+        },
+
+        /** The saved profile names and the active one: `{ names, active }` */
+        getProfiles() {
+            return { names: getProfileNames(), active: settingsStore.activeProfile };
+        },
+
+        /**
+         * Makes a saved profile active (names match case-insensitively).
+         * Returns false when there is no such profile.
+         */
+        switchProfile(name) {
+            return switchProfile(String(name ?? '')) === null;
+        },
+
+        /**
+         * Deletes a saved profile; the first one left becomes active if it was.
+         * Returns false for an unknown name or the last profile.
+         */
+        deleteProfile(name) {
+            return deleteProfile(String(name ?? '')) === null;
+        },
+
+        /**
+         * Reads `element` (usually a response block) aloud, highlighting each word
+         * as it is spoken. Returns false when there is nothing to read or no speech.
+         */
+        readAloud(element) {
+            if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+                throw new TypeError('BionicReading.readAloud() expects an element');
+            }
+            return startReadAloud(element);
+        },
+
+        stopReadAloud() {
+            stopReadAloud();
+        },
+
+        /**
+         * Replaces the speech backend used for reading aloud, e.g. with another
+         * TTS engine or a test stub (interface: see createSpeechSynthesisBackend).
+         * `null` goes back to the browser's speechSynthesis.
+         */
+        setSpeechBackend(backend) {
+            const methods = ['speak', 'pause', 'resume', 'cancel'];
+            if (backend !== null && !(backend && methods.every(name => typeof backend[name] === 'function'))) {
+                throw new TypeError('BionicReading.setSpeechBackend() expects null or an object with speak, pause, resume and cancel');
+            }
+            stopReadAloud();
+            speechBackend = backend;
+        },
+
+        /**
+         * Lifecycle counters (observed blocks, queue length, released blocks...)
+         * while Debug logging is on, otherwise null
+         */
+        getStats() {
+            return settings.DEBUG_MODE ? getDebugStats() : null;
+        },
+    });
+
+    // =========================================================================
+    // 7. INITIALIZATION
+    // =========================================================================
+
+    function formatPercent(ratio) {
+        return Math.round(ratio * 100) + '%';
     }
 
-    function disconnectObservers() {
-        if (observer) {
-            observer.disconnect();
-            observer = null;
-        }
-        if (intersectionObserver) {
-            intersectionObserver.disconnect();
-            intersectionObserver = null;
+    /**
+     * Sets the main toggle, with feedback when it is already in that state
+     */
+    function setEnabled(enabled) {
+        if (enabled === isEnabled) {
+            showToast(`📖 Bionic Reading is already ${enabled ? 'ON' : 'OFF'}`);
+            return;
         }
-        if (stabilityCheckInterval) {
-            clearInterval(stabilityCheckInterval);
-            stabilityCheckInterval = null;
+        toggleExtension();
+    }
+
+    function getStatusText() {
+        const strategy = FIXATION_STRATEGIES[settings.FIXATION_MODE] || FIXATION_STRATEGIES.ratio;
+        const font = settings.FONT_FAMILY ? settings.FONT_FAMILY.split(',')[0].replace(/["']/g, '') : 'default font';
+        const profile = getProfileNames().length > 1 ? ` · ${settingsStore.activeProfile}` : '';
+        const status = `${isEnabled ? 'ON' : 'OFF'}${profile} · ${formatPercent(settings.BOLD_RATIO)} · ${strategy.label} · ${font}`;
+        return settings.DEBUG_MODE ? `${status} · ${observedBlocks.size} blocks observed` : status;
+    }
+
+    function closeHelpCard() {
+        const card = document.getElementById('bionic-reading-help');
+        if (card) card.remove();
+    }
+
+    function createCode(text) {
+        const code = document.createElement('code');
+        code.textContent = text;
+        return code;
+    }
+
+    /**
+     * Inline card with a list of `[term, detail]` entries (text or nodes),
+     * dismissed with ✕, Escape or any command
+     */
+    function showInfoCard(label, heading, entries) {
+        closeHelpCard();
+        injectUiStyles();
+
+        const card = document.createElement('div');
+        card.id = 'bionic-reading-help';
+        card.setAttribute('role', 'dialog');
+        card.setAttribute('aria-label', label);
+
+        const title = document.createElement('h2');
+        title.textContent = heading;
+
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.textContent = '✕';
+        close.setAttribute('aria-label', 'Close');
+        close.addEventListener('click', closeHelpCard);
+        title.appendChild(close);
+        card.appendChild(title);
+
+        const list = document.createElement('dl');
+        for (const [termContent, detailContent] of entries) {
+            const term = document.createElement('dt');
+            term.append(termContent);
+            const detail = document.createElement('dd');
+            detail.append(...[].concat(detailContent));
+            list.append(term, detail);
         }
-        activeStreamingNodes.clear();
-        
-        responseBlockCache.forEach(block => {
-            if (block._bionicObserver) {
-                block._bionicObserver.disconnect();
-                delete block._bionicObserver;
-            }
+        card.appendChild(list);
+
+        card.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') closeHelpCard();
         });
-        responseBlockCache.clear();
+        document.body.appendChild(card);
+        close.focus();
     }
 
-    function showToast(message) {
-        const existing = document.getElementById('bionic-reading-toast');
-        if (existing) existing.remove();
-
-        const toast = document.createElement('div');
-        toast.id = 'bionic-reading-toast';
-        toast.textContent = message;
-        toast.style.cssText = `
-            position: fixed;
-            bottom: 24px;
-            right: 24px;
-            background: #1f2937;
-            color: #f3f4f6;
-            padding: 12px 20px;
-            border-radius: 8px;
-            z-index: 99999;
-            font-family: system-ui, -apple-system, sans-serif;
-            font-size: 14px;
-            font-weight: 500;
-            box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1);
-            border: 1px solid #374151;
-            opacity: 0;
-            transform: translateY(10px);
-            transition: opacity 0.3s, transform 0.3s;
-        `;
+    function showHelpCard() {
+        const entries = Object.values(CHAT_COMMANDS).map(({ usage, description }) => [createCode(usage), description]);
+        showInfoCard('Bionic Reading commands', '📖 Bionic Reading commands', entries);
+    }
 
-        document.body.appendChild(toast);
-        requestAnimationFrame(() => {
-            toast.style.opacity = '1';
-            toast.style.transform = 'translateY(0)';
+    /**
+     * Diagnostics card: each selector role with the selector it resolved to, the
+     * processing counters and the streaming heuristic in use
+     */
+    function showDiagnosticsCard() {
+        const report = getDiagnostics();
+        const entries = report.selectors.map(({ label, selector, index, expected, count }) => {
+            if (index === -1) {
+                return [label, expected ? '✗ Not found' : '– Not on the page yet'];
+            }
+            const status = index === 0 ? '✓ ' : `⚠ Fallback #${index}: `;
+            return [label, [status, createCode(selector), ` · ${count} on the page`]];
         });
+        const { blocks, nodes } = report;
+        entries.push(
+            ['Status', report.enabled ? 'ON' : 'OFF'],
+            ['Blocks', `${blocks.found} on the page · ${blocks.formatted} formatted · ${blocks.observed} observed`],
+            ['Text nodes', `${nodes.formatted} formatted · ${nodes.queued} queued · ${nodes.streaming} streaming`],
+            ['Streaming', report.streaming],
+        );
+        showInfoCard('Bionic Reading diagnostics', '🩺 Bionic Reading diagnostics', entries);
+    }
 
-        setTimeout(() => {
-            toast.style.opacity = '0';
-            toast.style.transform = 'translateY(10px)';
-            setTimeout(() => toast.remove(), 300);
-        }, 2000);
+    // Subcommands of `/bionic`. `run` receives the arguments with their original
+    // case and returns an error message for invalid input.
+    const CHAT_COMMANDS = {
+        '': {
+            usage: '/bionic',
+            description: 'Toggle Bionic Reading on or off',
+            run: () => toggleExtension(),
+        },
+        on: {
+            usage: '/bionic on',
+            description: 'Turn Bionic Reading on',
+            run: () => setEnabled(true),
+        },
+        off: {
+            usage: '/bionic off',
+            description: 'Turn Bionic Reading off',
+            run: () => setEnabled(false),
+        },
+        ratio: {
+            usage: '/bionic ratio 0.5',
+            description: 'Set the bold ratio (0.1 to 0.9, or 10% to 90%)',
+            run: (args) => {
+                const match = /^(\d*\.?\d+)(%?)$/.exec(args);
+                const schema = SETTINGS_SCHEMA.BOLD_RATIO;
+                const ratio = match && (match[2] ? Number(match[1]) / 100 : Number(match[1]));
+                if (!match || ratio < schema.min || ratio > schema.max) {
+                    return `Ratio must be between ${schema.min} and ${schema.max}, e.g. /bionic ratio 0.5`;
+                }
+                updateSettings({ BOLD_RATIO: ratio });
+                showToast(`📖 Bold ratio: ${formatPercent(settings.BOLD_RATIO)}`);
+            },
+        },
+        font: {
+            usage: '/bionic font <name>',
+            description: 'Set the response font ("default" restores TypingMind\'s font)',
+            run: (args) => {
+                if (!args) return 'Missing font name, e.g. /bionic font Verdana';
+                const font = args.toLowerCase() === 'default' ? null : args;
+                if (font && sanitizeSetting('FONT_FAMILY', font) === undefined) {
+                    return 'Not a font list. Separate fonts with commas and quote names with symbols, e.g. "Open Dyslexic", sans-serif';
+                }
+                updateSettings({ FONT_FAMILY: font });
+                showToast(`📖 Font: ${settings.FONT_FAMILY || 'TypingMind default'}`);
+            },
+        },
+        mode: {
+            usage: '/bionic mode <algorithm>',
+            description: `Set the fixation algorithm: ${Object.keys(FIXATION_STRATEGIES).join(', ')}`,
+            run: (args) => {
+                const mode = args.toLowerCase();
+                if (!FIXATION_STRATEGIES[mode]) {
+                    return `Unknown algorithm "${args}". Use one of: ${Object.keys(FIXATION_STRATEGIES).join(', ')}`;
+                }
+                updateSettings({ FIXATION_MODE: mode });
+                showToast(`📖 Fixation algorithm: ${FIXATION_STRATEGIES[mode].label}`);
+            },
+        },
+        profile: {
+            usage: '/bionic profile [name]',
+            description: 'Switch to a saved settings profile, or list them',
+            run: (args) => {
+                if (!args) {
+                    const names = getProfileNames().map(name => (name === settingsStore.activeProfile ? `${name} (active)` : name));
+                    showToast(`📖 Profiles: ${names.join(', ')}`);
+                    return;
+                }
+                const error = switchProfile(args);
+                if (error) return error;
+                showToast(`📖 Profile: ${settingsStore.activeProfile}`);
+            },
+        },
+        status: {
+            usage: '/bionic status',
+            description: 'Show the current state and settings',
+            run: () => showToast(`📖 ${getStatusText()}`),
+        },
+        reset: {
+            usage: '/bionic reset',
+            description: 'Restore the default settings',
+            run: () => {
+                resetSettings();
+                showToast('📖 Settings reset to defaults');
+            },
+        },
+        settings: {
+            usage: '/bionic settings',
+            description: 'Open the settings panel',
+            run: () => openSettingsPanel(),
+        },
+        export: {
+            usage: '/bionic export [html|markdown|epub]',
+            description: 'Download the chat with bionic formatting (HTML by default)',
+            run: (args) => {
+                const format = args.toLowerCase() || 'html';
+                if (!EXPORT_FORMATS[EXPORT_FORMAT_ALIASES[format] || format]) {
+                    return `Unknown export format "${args}". Use html, markdown or epub`;
+                }
+                exportChat(format);
+            },
+        },
+        diagnose: {
+            usage: '/bionic diagnose',
+            description: 'Show which TypingMind elements were found and what was processed',
+            run: () => showDiagnosticsCard(),
+        },
+        help: {
+            usage: '/bionic help',
+            description: 'Show this list',
+            run: () => showHelpCard(),
+        },
+    };
+
+    // Subcommands that take no arguments
+    const NO_ARGUMENT_COMMANDS = new Set(['', 'on', 'off', 'status', 'reset', 'settings', 'diagnose', 'help']);
+
+    /**
+     * Splits chat input into `{ name, args }` when it is a `/bionic` command, else null
+     */
+    function parseChatCommand(input) {
+        const match = /^\/bionic(?:\s+(\S+)(?:\s+([\s\S]*))?)?$/i.exec(input.trim());
+        if (!match) return null;
+        return { name: (match[1] || '').toLowerCase(), args: (match[2] || '').trim() };
     }
 
-    function toggleExtension() {
-        isEnabled = !isEnabled;
-        localStorage.setItem(CONFIG.STORAGE_KEY, isEnabled);
+    /**
+     * Handles `/bionic` commands typed in the chat input.
+     * Returns true when the input was consumed and must not be sent.
+     */
+    function handleChatCommand(input) {
+        const parsed = parseChatCommand(input);
+        if (!parsed) return false;
 
-        if (isEnabled) {
-            showToast('📖 Bionic Reading: ON');
-            injectStyles();
-            setupGlobalObserver();
-            processExistingContent();
+        closeHelpCard();
+        // Own keys only: `/bionic constructor` must not find Object.prototype members
+        const command = Object.hasOwn(CHAT_COMMANDS, parsed.name) ? CHAT_COMMANDS[parsed.name] : null;
+        let error = null;
+        if (!command) {
+            error = `Unknown command "${parsed.name}". Type /bionic help for the list`;
+        } else if (parsed.args && NO_ARGUMENT_COMMANDS.has(parsed.name)) {
+            error = `${command.usage} takes no arguments`;
         } else {
-            showToast('📖 Bionic Reading: OFF');
-            disconnectObservers();
-            revertAllProcessing();
-            pendingNodes = []; // Clear pending queue
+            error = command.run(parsed.args) || null;
         }
+
+        if (error) showToast(`📖 ${error}`);
+        return true;
     }
 
     function init() {
         logger.log('Initializing v3.2 Efficiency Polish...');
 
-        document.addEventListener('keydown', (e) => {
-            if ((e.ctrlKey || e.metaKey) && e.shiftKey && (e.key === 'b' || e.key === 'B')) {
-                e.preventDefault();
-                toggleExtension();
-            }
-        });
+        document.addEventListener('keydown', handleShortcut);
+        document.addEventListener('copy', handleCopy);
 
         document.body.addEventListener('keydown', (e) => {
             if (e.key === 'Enter' && !e.shiftKey) {
                 const target = e.target;
-                if (target.tagName === 'TEXTAREA' && target.id === 'chat-input-textbox') {
-                    if (target.value.trim().toLowerCase() === '/bionic') {
+                if (target.tagName === 'TEXTAREA' && target.matches(CONFIG.SELECTORS.CHAT_INPUT)) {
+                    if (handleChatCommand(target.value)) {
                         e.preventDefault();
                         e.stopPropagation();
                         target.value = '';
                         target.dispatchEvent(new Event('input', { bubbles: true }));
-                        toggleExtension();
                     }
                 }
             }
         }, { capture: true });
 
+        renderSettingsButton();
+
         if (isEnabled) {
             injectStyles();
             setTimeout(() => {
@@ -622,11 +5978,37 @@
             }, 500);
         }
 
+        setTimeout(checkSelectorHealth, CONFIG.HEALTH_CHECK_DELAY_MS);
+
+        // Reading progress is measured on scroll; capture catches TypingMind's inner scroll container
+        document.addEventListener('scroll', scheduleProgressUpdate, { capture: true, passive: true });
+        window.addEventListener('resize', scheduleProgressUpdate);
+        prepareResume();
+
+        // Chat rules depend on the URL; TypingMind switches chats without a reload.
+        // Selectors are resolved again since a new chat may render elements not seen yet.
+        // A newly opened chat gets the chance to resume at its saved reading position.
+        let openChatId = getCurrentChatId();
+        const onLocationChange = () => {
+            const reprocessed = resolveSelectors() && applyResolvedSelectors();
+            if (!reprocessed && isEnabled && enableRules.length > 0) reprocessAll();
+            if (getCurrentChatId() !== openChatId) {
+                openChatId = getCurrentChatId();
+                flushReadingProgress();
+                prepareResume();
+            }
+        };
+        window.addEventListener('hashchange', onLocationChange);
+        window.addEventListener('popstate', onLocationChange);
+
         window.addEventListener('beforeunload', () => {
+            flushReadingProgress();
             disconnectObservers();
         });
     }
 
+    window.BionicReading = publicApi;
+
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', init);
     } else {
@@ -0,0 +1,357 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const core = require('../extension/bionic-reading.js');
+
+const {
+    REGEX,
+    createFixationOptions,
+    getBoldLength,
+    createTokenClassifier,
+    shouldSkipWord,
+    processWord,
+    transformText,
+    getFixationRanges,
+    needsJoiner,
+    snapToGrapheme,
+    detectLanguage,
+    migrateSettingsStore,
+    parseProfile,
+    serializeProfile,
+} = core;
+
+/**
+ * Renders segments as "**Bo**ld" so expectations read like the output
+ */
+function render(segments) {
+    return segments.map(segment => (segment.bold ? `**${segment.text}**` : segment.text)).join('');
+}
+
+function bionic(text, config = {}) {
+    const options = createFixationOptions({ ...core.USER_SETTINGS, ...config });
+    return render(transformText(text, options));
+}
+
+test('exports the core without touching the DOM', () => {
+    assert.equal(typeof transformText, 'function');
+    assert.equal(typeof globalThis.document, 'undefined');
+});
+
+test.describe('getBoldLength', () => {
+    test('bolds one character of words up to three letters', () => {
+        assert.equal(getBoldLength(1, 0.43), 1);
+        assert.equal(getBoldLength(3, 0.43), 1);
+    });
+
+    test('rounds length x ratio for longer words', () => {
+        assert.equal(getBoldLength(7, 0.43), 3);
+        assert.equal(getBoldLength(10, 0.5), 5);
+    });
+});
+
+test.describe('shouldSkipWord', () => {
+    const skipped = {
+        'SINGLE_CHAR / short words': ['a', 'I'],
+        'WHITESPACE': ['  ', '\t\n'],
+        'NUMERIC': ['42', '3.14', '1,000', '99%'],
+        'URL': ['https://example.com', 'http://x.io/path', 'www.example.com', 'mailto:me@x.io', 'tel:+123456', 'ftp://files'],
+        'VERSION': ['v1.2.3', '10.4.1'],
+        'UUID': ['123e4567-e89b-12d3-a456-426614174000', 'deadbeef-0000'],
+        'DATE': ['2025-12-01', '12/31/2025'],
+        'TIME': ['12:30', '9:05pm'],
+        'file names': ['index.js', 'README.md', 'photo.jpeg', '.env'],
+        'emails': ['me@example.com', '<first.last+tag@mail.co.uk>,'],
+        'paths': ['/usr/local/bin', '~/.bashrc', './src', 'C:\\Users\\me', '\\\\server\\share', 'src/utils/', 'src/app/main.ts'],
+        'identifiers': ['snake_case', 'MAX_BATCH_SIZE', '__init__', 'camelCase', 'getBoldLength()', '(userId).'],
+        'hashes': ['a1b2c3d', '8613e10f4c2e9b7a'],
+        'hex colors': ['#fff', '#1d4ed8', '#11223344'],
+        'acronyms': ['API', 'HTTP2', 'URLs', 'AT&T'],
+        'domains': ['example.com', 'docs.typingmind.com/guide', '(github.io)'],
+    };
+    for (const [rule, words] of Object.entries(skipped)) {
+        test(`skips ${rule}`, () => {
+            for (const word of words) assert.equal(shouldSkipWord(word), true, word);
+        });
+    }
+
+    test('keeps ordinary words and long dotted names', () => {
+        for (const word of ['reading', 'well-known', 'U.S.A.', 'e.g.', 'someverylongdomainname.technology', 'and/or', 'JavaScript', 'IMPORTANT', 'defaced']) {
+            assert.equal(shouldSkipWord(word), false, word);
+        }
+    });
+
+    test('only tests URL and UUID on words longer than four characters', () => {
+        assert.equal(shouldSkipWord('v1.2'), true);
+        assert.equal(shouldSkipWord('www.'), false);
+    });
+
+    test('keeps short capitalized words and brand names', () => {
+        for (const word of ['OK', 'US', 'IT', 'AI', 'iPhone', 'eBay', 'iOS']) {
+            assert.equal(shouldSkipWord(word), false, word);
+        }
+        assert.equal(bionic('OK, the US team uses AI on an iPhone'), '**O**K, **t**he **U**S **te**am **us**es **A**I **o**n **a**n **iPh**one');
+    });
+
+    test('formats sentences that run into the next one', () => {
+        for (const word of ['done.', 'done.It', 'done.Ok', 'ideas.Then']) {
+            assert.equal(shouldSkipWord(word), false, word);
+        }
+        assert.equal(bionic('Hello world.This works'), '**He**llo **wo**rld.**Th**is **wo**rks');
+        assert.equal(bionic('done.It is, yes,but'), '**do**ne.**I**t **i**s, **y**es,**b**ut');
+        assert.equal(bionic('U.S.A. e.g.'), 'U.S.A. e.g.');
+    });
+});
+
+test.describe('createTokenClassifier', () => {
+    test('returns the id of the first matching rule', () => {
+        const classify = createTokenClassifier();
+        assert.equal(classify('me@example.com'), 'email');
+        assert.equal(classify('(snake_case),'), 'identifier');
+        assert.equal(classify('12/31/2025'), 'date');
+        assert.equal(classify('reading'), null);
+    });
+
+    test('rules can be switched off by id', () => {
+        const classify = createTokenClassifier({ rules: { acronym: false, identifier: false } });
+        assert.equal(classify('API'), null);
+        assert.equal(classify('snake_case'), null);
+        assert.equal(classify('42'), 'numeric');
+    });
+
+    test('custom patterns are tried after the built-in rules', () => {
+        const classify = createTokenClassifier({
+            custom: [
+                { id: 'tickets', pattern: '^JIRA-\\d+$', enabled: true },
+                { id: 'todo', pattern: '/^todo$/i', enabled: true },
+                { id: 'off', pattern: '^reading$', enabled: false },
+                { id: 'broken', pattern: '(', enabled: true },
+            ],
+        });
+        assert.equal(classify('JIRA-142:'), 'tickets');
+        assert.equal(classify('Todo'), 'todo');
+        assert.equal(classify('TODO'), 'acronym');
+        assert.equal(classify('reading'), null);
+    });
+
+    test('the classifier is part of the fixation options', () => {
+        const options = createFixationOptions(core.USER_SETTINGS, undefined, createTokenClassifier({ rules: { acronym: false } }));
+        assert.equal(render(transformText('HTTPS API', options)), '**HT**TPS **A**PI');
+        assert.equal(bionic('HTTPS API'), 'HTTPS API');
+    });
+});
+
+test.describe('REGEX', () => {
+    test('WORD_PARTS separates leading and trailing punctuation', () => {
+        const [, prefix, word, suffix] = '("reading"),'.match(REGEX.WORD_PARTS);
+        assert.deepEqual([prefix, word, suffix], ['("', 'reading', '"),']);
+    });
+
+    test('WORD_PARTS keeps apostrophes, hyphens and combining marks in the word', () => {
+        assert.equal("don't".match(REGEX.WORD_PARTS)[2], "don't");
+        assert.equal('it’s'.match(REGEX.WORD_PARTS)[2], 'it’s');
+        assert.equal('state-of-the-art'.match(REGEX.WORD_PARTS)[2], 'state-of-the-art');
+        assert.equal('café'.match(REGEX.WORD_PARTS)[2], 'café');
+    });
+
+    test('script patterns', () => {
+        assert.ok(REGEX.IDEOGRAPHIC.test('漢'));
+        assert.ok(REGEX.IDEOGRAPHIC.test('ひ'));
+        assert.ok(REGEX.NO_SPACE_SCRIPT.test('ภาษา'));
+        assert.ok(!REGEX.NO_SPACE_SCRIPT.test('reading'));
+        assert.ok(REGEX.ARABIC.test('ب'));
+        assert.ok(REGEX.ARABIC_NON_JOINING_AFTER.test('ا'));
+        assert.ok(!REGEX.ARABIC_NON_JOINING_AFTER.test('ب'));
+        assert.ok(REGEX.COMPLEX_GRAPHEME.test('👍🏽'));
+        assert.ok(REGEX.CLUSTER_CONTINUATION.test('́x'));
+        assert.ok(REGEX.VOWEL.test('é'));
+    });
+});
+
+test.describe('processWord', () => {
+    test('bolds the fixation of a plain word', () => {
+        assert.equal(render(processWord('Reading')), '**Rea**ding');
+    });
+
+    test('keeps punctuation outside the fixation', () => {
+        assert.equal(render(processWord('"Reading,"')), '"**Rea**ding,"');
+    });
+
+    test('gives each part of a hyphenated word its own fixation', () => {
+        assert.equal(render(processWord('well-known')), '**we**ll-**kn**own');
+    });
+
+    test('skips single letters and numbers inside hyphenated words', () => {
+        assert.equal(render(processWord('x-ray')), 'x-**r**ay');
+        assert.equal(render(processWord('COVID-19')), '**CO**VID-19');
+    });
+
+    test('leaves skipped words untouched', () => {
+        assert.equal(render(processWord('https://example.com')), 'https://example.com');
+        assert.equal(render(processWord('a')), 'a');
+    });
+});
+
+test.describe('transformText', () => {
+    test('returns no segments for empty input', () => {
+        assert.deepEqual(transformText(''), []);
+        assert.deepEqual(transformText(null), []);
+    });
+
+    test('preserves the text exactly', () => {
+        const text = '  Hello,   wonderful\nworld!  ';
+        assert.equal(transformText(text).map(segment => segment.text).join(''), text);
+    });
+
+    test('formats each word and leaves skipped tokens plain', () => {
+        assert.equal(bionic('Update to v2.1.0 at 12:30 on 2025-12-01 see index.js'),
+            '**Upd**ate **t**o v2.1.0 **a**t 12:30 **o**n 2025-12-01 **s**ee index.js');
+    });
+
+    test('never produces markup: `<` and `&` stay literal text', () => {
+        const segments = transformText('<script>alert(1)</script> & more');
+        assert.equal(segments.map(segment => segment.text).join(''), '<script>alert(1)</script> & more');
+        assert.ok(segments.every(segment => !segment.text.includes('<b>')));
+    });
+
+    test('ignores text without letters or numbers', () => {
+        assert.deepEqual(getFixationRanges('--- ***'), []);
+    });
+});
+
+test.describe('fixation strategies', () => {
+    test('ratio follows BOLD_RATIO', () => {
+        assert.equal(bionic('wonderful', { BOLD_RATIO: 0.3 }), '**won**derful');
+        assert.equal(bionic('wonderful', { BOLD_RATIO: 0.6 }), '**wonde**rful');
+    });
+
+    test('syllable bolds up to the first syllable boundary', () => {
+        assert.equal(bionic('wonderful reading', { FIXATION_MODE: 'syllable' }), '**won**derful **rea**ding');
+    });
+
+    test('frequency leaves short common words plain', () => {
+        assert.equal(bionic('the reading of about', { FIXATION_MODE: 'frequency' }), 'the **rea**ding of **a**bout');
+    });
+
+    test('saccade bolds every Nth word', () => {
+        assert.equal(bionic('Hello wonderful extra world', { FIXATION_MODE: 'saccade', SACCADE_INTERVAL: 2 }),
+            '**He**llo wonderful **ex**tra world');
+    });
+});
+
+test.describe('scripts and graphemes', () => {
+    test('detects the dominant script', () => {
+        assert.equal(detectLanguage('これは日本語の文章です').name, 'japanese');
+        assert.equal(detectLanguage('这是一个中文句子').name, 'chinese');
+        assert.equal(detectLanguage('مرحبا بالعالم').name, 'arabic');
+        assert.equal(detectLanguage('Plain English text').name, 'default');
+    });
+
+    test('leaves ideographic words plain by default and bolds the first character on request', () => {
+        assert.equal(bionic('我们喜欢阅读'), '我们喜欢阅读');
+        assert.match(bionic('我们喜欢阅读', { CJK_MODE: 'first-char' }), /^\*\*我\*\*/);
+    });
+
+    test('segments Thai into words', () => {
+        const options = createFixationOptions(core.USER_SETTINGS, detectLanguage('ภาษาไทยง่ายมาก'));
+        assert.ok(getFixationRanges('ภาษาไทยง่ายมาก', options).length > 1);
+    });
+
+    test('keeps Arabic letters joined across the bold boundary', () => {
+        assert.equal(needsJoiner('بالعالم', 3), true);
+        assert.equal(needsJoiner('مرحبا', 1), true);
+        assert.equal(needsJoiner('مرحبا', 2), false); // ر never joins forward
+        assert.equal(needsJoiner('دار', 1), false); // د never joins forward
+        assert.ok(bionic('بالعالم').includes('‍'));
+    });
+
+    test('never splits a grapheme cluster', () => {
+        assert.equal(snapToGrapheme('cafe\u0301s', 4), 5); // e + combining acute
+        assert.equal(snapToGrapheme('plain', 2), 2);
+        const text = bionic('नमस्ते दुनिया');
+        assert.ok(!/\*\*[्ि-ौ]/.test(text), text);
+    });
+});
+
+test.describe('settings profiles', () => {
+    test('migrates version 1 settings and the on/off key into a profile store', () => {
+        const store = migrateSettingsStore({ version: 1, settings: { BOLD_RATIO: 0.5 }, enabled: 'false' });
+        assert.deepEqual(store, {
+            version: 2,
+            enabled: false,
+            activeProfile: 'Default',
+            profiles: { Default: { BOLD_RATIO: 0.5 } },
+        });
+        assert.equal(migrateSettingsStore({ version: 1, settings: {}, enabled: null }).enabled, null);
+    });
+
+    test('exported profiles parse back to the same settings', () => {
+        const settings = { ...core.USER_SETTINGS, BOLD_RATIO: 0.55, FONT_FAMILY: 'OpenDyslexic' };
+        const { profile, errors } = parseProfile(serializeProfile('Dyslexia', settings));
+        assert.deepEqual(errors, []);
+        assert.equal(profile.name, 'Dyslexia');
+        assert.equal(profile.settings.BOLD_RATIO, 0.55);
+        assert.equal(profile.settings.FONT_FAMILY, 'OpenDyslexic');
+    });
+
+    test('a bare settings object (an edited USER_SETTINGS) is read as version 1', () => {
+        const { profile } = parseProfile('{"BOLD_RATIO": 0.3, "FIXATION_MODE": "frequency"}', 'ADHD');
+        assert.equal(profile.name, 'ADHD');
+        assert.equal(profile.settings.BOLD_RATIO, 0.3);
+        assert.equal(profile.settings.FIXATION_MODE, 'frequency');
+        assert.equal(profile.settings.SACCADE_INTERVAL, core.USER_SETTINGS.SACCADE_INTERVAL);
+    });
+
+    test('imports a copy of the version 1 USER_SETTINGS, retired keys included', () => {
+        const baseline = JSON.stringify({
+            FONT_FAMILY: '"Segoe UI Light", "Segoe UI", system-ui, -apple-system, sans-serif',
+            BOLD_RATIO: 0.43,
+            ENABLED_BY_DEFAULT: true,
+            MAX_BATCH_SIZE: 50,
+            STREAMING_DEBOUNCE_MS: 1000,
+            DEBUG_MODE: false,
+        });
+        const { profile, errors } = parseProfile(baseline, 'Shared');
+        assert.deepEqual(errors, []);
+        assert.equal(profile.settings.BOLD_RATIO, 0.43);
+        assert.equal(profile.settings.FRAME_BUDGET_MS, core.USER_SETTINGS.FRAME_BUDGET_MS);
+        assert.equal('ENABLED_BY_DEFAULT' in profile.settings, false);
+        assert.equal('MAX_BATCH_SIZE' in profile.settings, false);
+    });
+
+    test('migrates version 1 profile files', () => {
+        const file = JSON.stringify({
+            format: 'typingmind-bionic-reading-profile', version: 1, name: 'Old', settings: { BOLD_RATIO: 0.6, MAX_BATCH_SIZE: 50 },
+        });
+        const { profile, errors } = parseProfile(file);
+        assert.deepEqual(errors, []);
+        assert.equal(profile.name, 'Old');
+        assert.equal(profile.settings.BOLD_RATIO, 0.6);
+    });
+
+    test('rejects files that do not match the schema', () => {
+        const file = (patch) => JSON.stringify({ format: 'typingmind-bionic-reading-profile', version: 2, name: 'Team', settings: {}, ...patch });
+        const errors = (text) => parseProfile(text).errors;
+
+        assert.deepEqual(errors('{not json'), ['Not valid JSON']);
+        assert.deepEqual(errors('{"hello": 1}'), ['Not a Bionic Reading profile']);
+        assert.deepEqual(errors(file({ settings: { BOLD_RATIO: 2, FIXATION_MODE: 'fast', COLOR: 'red' } })), [
+            'BOLD_RATIO must be between 0.1 and 0.9',
+            'Invalid value for FIXATION_MODE: "fast"',
+            'Unknown setting COLOR',
+        ]);
+        for (const font of [
+            'x}</style><script>alert(1)</script><style>', 'x} * {display:none}', 'Arial;color:red', 'a\\62 c', 'Arial\nx',
+            'Arial /* rest', '"Arial', "Arial, 'Verdana", 'Arial,', 'Arial !important', '"</style>"',
+        ]) {
+            assert.deepEqual(errors(file({ settings: { FONT_FAMILY: font } })), [`Invalid value for FONT_FAMILY: ${JSON.stringify(font)}`]);
+        }
+        for (const font of ['"Open Dyslexic", Verdana, sans-serif', "'Comic Sans MS',-apple-system", 'Open Dyslexic', '"Noto Sans JP", 游ゴシック']) {
+            assert.deepEqual(errors(file({ settings: { FONT_FAMILY: font } })), [], font);
+        }
+        assert.match(errors(file({ name: '' }))[0], /^Profile name must be/);
+        assert.match(errors(file({ version: 99 }))[0], /newer version/);
+        assert.equal(parseProfile(file({ settings: { BOLD_RATIO: 2 } })).profile, null);
+    });
+});
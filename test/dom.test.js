@@ -0,0 +1,985 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('node:zlib');
+
+const { loadExtension, bionicText, wait, STARTUP_MS } = require('./helpers/dom.js');
+
+const RESPONSE = '<div data-element-id="response-block">%s</div><textarea id="chat-input-textbox"></textarea>';
+
+function page(html) {
+    return RESPONSE.replace('%s', html);
+}
+
+let window;
+
+test.afterEach(() => {
+    if (window) window.close();
+    window = null;
+});
+
+test.describe('response blocks', () => {
+    test('formats text in a response block', async () => {
+        window = loadExtension(page('<p id="p">Reading wonderful text</p>'));
+        await wait(STARTUP_MS);
+        assert.equal(bionicText(window.document.getElementById('p')), '**Rea**ding **wond**erful **te**xt');
+    });
+
+    test('leaves code, the message input and user notes alone', async () => {
+        window = loadExtension(page(
+            '<pre><code id="code">const reading = 1;</code></pre>'
+            + '<div data-element-id="user-note"><p id="note">Personal notes here</p></div>'
+            + '<div data-element-id="message-input"><p id="input">Draft message text</p></div>'
+            + '<p>Reading text</p>'
+        ));
+        await wait(STARTUP_MS);
+        const { document } = window;
+        assert.ok(document.querySelector('.bionic-text-wrapper'));
+        for (const id of ['code', 'note', 'input']) {
+            assert.equal(document.getElementById(id).querySelector('b'), null, id);
+        }
+    });
+
+    test('keeps markup-like text literal', async () => {
+        window = loadExtension(page('<p id="p">Beware &lt;img src=x onerror=alert(1)&gt; tags</p>'));
+        await wait(STARTUP_MS);
+        const p = window.document.getElementById('p');
+        assert.equal(p.querySelector('img'), null);
+        assert.match(p.textContent, /<img src=x onerror=alert\(1\)>/);
+    });
+
+    test('gives a word split across inline elements one fixation', async () => {
+        window = loadExtension(page('<p id="p">An <em>extra</em>ordinary day</p>'));
+        await wait(STARTUP_MS);
+        assert.equal(bionicText(window.document.getElementById('p')), '**A**n **extra****o**rdinary **d**ay');
+    });
+
+    test('formats blocks added after startup', async () => {
+        window = loadExtension('<textarea id="chat-input-textbox"></textarea>');
+        await wait(STARTUP_MS);
+        const { document } = window;
+        const block = document.createElement('div');
+        block.dataset.elementId = 'response-block';
+        block.innerHTML = '<p id="late">Reading later</p>';
+        document.body.append(block);
+        await wait(100);
+        assert.equal(bionicText(document.getElementById('late')), '**Rea**ding **la**ter');
+    });
+});
+
+test.describe('streaming', () => {
+    test('waits for a streaming node to settle before formatting it', async () => {
+        window = loadExtension(page('<p id="p">Reading</p>'));
+        await wait(STARTUP_MS);
+        const p = window.document.getElementById('p');
+        const node = window.document.createTextNode('Streaming');
+        p.append(node);
+        for (const chunk of [' words', ' keep', ' coming']) {
+            node.appendData(chunk);
+            await wait(30);
+        }
+        assert.ok(node.isConnected, 'still plain while streaming');
+        await wait(400);
+        assert.ok(!node.isConnected, 'wrapped once quiet');
+        assert.equal(bionicText(p), '**Rea**ding**Stre**aming **wo**rds **ke**ep **com**ing');
+    });
+
+    test('defers text next to the cursor until the cursor is gone', async () => {
+        window = loadExtension(page('<p id="p">Reading along<span class="cursor"></span></p>'));
+        await wait(STARTUP_MS);
+        const p = window.document.getElementById('p');
+        assert.equal(p.querySelector('b'), null);
+        p.querySelector('.cursor').remove();
+        window.BionicReading.process(p);
+        await wait(100);
+        assert.equal(bionicText(p), '**Rea**ding **al**ong');
+    });
+});
+
+test.describe('block lifecycle', () => {
+    const blocks = count => Array.from({ length: count }, (_, i) => (
+        `<div data-element-id="response-block" id="b${i}"><p>Reading message ${i}</p></div>`
+    )).join('');
+
+    test('releases blocks that scroll away and catches up when they return', async () => {
+        window = loadExtension(blocks(3), { settings: { DEBUG_MODE: true } });
+        window.console.log = () => {};
+        await wait(STARTUP_MS);
+        const { document, BionicReading } = window;
+        assert.equal(BionicReading.getStats().observedBlocks, 3);
+
+        const block = document.getElementById('b1');
+        window.setVisible(block, false);
+        assert.equal(BionicReading.getStats().observedBlocks, 2);
+        assert.equal(BionicReading.getStats().releasedOffscreen, 1);
+
+        // Not observed while off screen: new text waits
+        const p = document.createElement('p');
+        p.textContent = 'Offscreen update';
+        block.append(p);
+        await wait(50);
+        assert.equal(p.querySelector('b'), null);
+
+        window.setVisible(block, true);
+        await wait(50);
+        assert.equal(bionicText(p), '**Offs**creen **upd**ate');
+        assert.equal(BionicReading.getStats().observedBlocks, 3);
+    });
+
+    test('forgets blocks and queued nodes removed from the DOM', async () => {
+        window = loadExtension(blocks(3), { settings: { DEBUG_MODE: true } });
+        window.console.log = () => {};
+        await wait(STARTUP_MS);
+        const { document, BionicReading } = window;
+        const block = document.getElementById('b2');
+
+        // Streaming text in a block that is unmounted before it settles
+        const node = document.createTextNode('Streaming');
+        block.firstChild.append(node);
+        node.appendData(' words');
+        await wait(20);
+        assert.equal(BionicReading.getStats().streamingNodes, 1);
+
+        block.remove();
+        await wait(20);
+        const stats = BionicReading.getStats();
+        assert.equal(stats.observedBlocks, 2);
+        assert.equal(stats.releasedRemoved, 1);
+        assert.equal(stats.streamingNodes, 0);
+        assert.equal(window.observedTargets(), 2);
+    });
+
+    test('only reports counters in debug mode', async () => {
+        window = loadExtension(blocks(1));
+        assert.equal(window.BionicReading.getStats(), null);
+    });
+});
+
+test.describe('scheduler', () => {
+    test('spreads a long response over frames without dropping nodes', async () => {
+        const count = 120;
+        const paragraphs = Array.from({ length: count }, (_, i) => `<p>Paragraph number ${i}</p>`).join('');
+        window = loadExtension(page(paragraphs), { settings: { DEBUG_MODE: true, FRAME_BUDGET_MS: 4 } });
+        window.console.log = () => {};
+        const { document, BionicReading } = window;
+        for (let i = 0; i < 100 && document.querySelectorAll('.bionic-text-wrapper').length < count; i++) {
+            await wait(100);
+        }
+        assert.equal(document.querySelectorAll('.bionic-text-wrapper').length, count);
+        const stats = BionicReading.getStats();
+        assert.equal(stats.visibleQueue, 0);
+        assert.equal(stats.droppedNodes, 0);
+        assert.ok(stats.peakQueue >= count, `peak queue ${stats.peakQueue}`);
+        assert.ok(stats.frames > 1, 'spread over several frames');
+    });
+
+    test('processes on-screen blocks before offscreen ones', async () => {
+        window = loadExtension(
+            '<div data-element-id="response-block" id="near"><p>Reading here</p></div>'
+            + '<div data-element-id="response-block" id="far"><p>Reading later</p></div>',
+            { settings: { DEBUG_MODE: true } },
+        );
+        window.console.log = () => {};
+        await wait(STARTUP_MS);
+        const { document, BionicReading } = window;
+        const near = document.getElementById('near');
+        const far = document.getElementById('far');
+        window.setVisible(far, false);
+
+        const order = [];
+        document.addEventListener('bionic:processed', (e) => order.push(...e.detail.elements.map(el => el.id)));
+        BionicReading.process(far);
+        BionicReading.process(near);
+        await wait(200);
+
+        assert.deepEqual(order, ['near', 'far']);
+        assert.ok(BionicReading.getStats().idleRuns >= 1);
+        assert.equal(bionicText(far.querySelector('p')), '**Rea**ding **la**ter');
+    });
+});
+
+test.describe('response toolbar', () => {
+    const toolbarButton = (block, label) => [...block.previousElementSibling.querySelectorAll('button')]
+        .find(button => button.textContent === label);
+
+    test('sits before the response, out of its text, and follows it through re-renders', async () => {
+        window = loadExtension(
+            '<main id="chat"><div data-element-id="response-block" id="one"><p>Reading one</p></div></main>'
+            + '<textarea id="chat-input-textbox"></textarea>',
+        );
+        const { document } = window;
+        await wait(STARTUP_MS);
+        const chat = document.getElementById('chat');
+        const one = document.getElementById('one');
+        assert.ok(one.previousElementSibling.querySelector('.bionic-block-controls'));
+        assert.equal(one.querySelector('.bionic-block-controls'), null);
+        assert.doesNotMatch(one.textContent, /Bionic|Focus|Listen|Export/);
+
+        // React replaces the response element
+        const next = document.createElement('div');
+        next.setAttribute('data-element-id', 'response-block');
+        next.innerHTML = '<p>Reading two</p>';
+        one.replaceWith(next);
+        await wait(100);
+        assert.equal(chat.querySelectorAll('.bionic-block-host').length, 1);
+        assert.equal(next.previousElementSibling.className, 'bionic-block-host');
+
+        window.BionicReading.disable();
+        assert.equal(document.querySelector('.bionic-block-host'), null);
+    });
+
+    test('switches formatting off and on for one response', async () => {
+        window = loadExtension(
+            '<div data-element-id="response-block" id="one"><p>Reading one</p></div>'
+            + '<div data-element-id="response-block" id="two"><p>Reading two</p></div>',
+        );
+        const { document } = window;
+        const one = document.getElementById('one');
+        const original = one.querySelector('p').firstChild;
+        await wait(STARTUP_MS);
+        const toggle = toolbarButton(one, 'Bionic');
+        assert.equal(toggle.getAttribute('aria-pressed'), 'true');
+
+        toggle.click();
+        assert.equal(toggle.getAttribute('aria-pressed'), 'false');
+        assert.equal(one.querySelector('p').innerHTML, 'Reading one');
+        assert.equal(one.querySelector('p').firstChild, original);
+        assert.ok(document.getElementById('two').querySelector('b'), 'other responses keep their formatting');
+
+        // New text in the switched-off response stays plain
+        one.querySelector('p').append(' and more');
+        await wait(100);
+        assert.equal(one.querySelector('b'), null);
+
+        toggle.click();
+        await wait(100);
+        assert.equal(toggle.getAttribute('aria-pressed'), 'true');
+        assert.ok(one.querySelector('p b'));
+    });
+
+    test('focus mode formats a copy and leaves the response alone', async () => {
+        window = loadExtension(page('<p id="p">Reading <a href="#">linked</a> words</p>'));
+        await wait(STARTUP_MS);
+        const { document } = window;
+        const block = document.querySelector('[data-element-id="response-block"]');
+        window.BionicReading.revert(block);
+        const before = block.innerHTML;
+
+        toolbarButton(block, 'Focus').click();
+        const overlay = document.getElementById('bionic-reading-focus');
+        assert.ok(overlay);
+        assert.equal(overlay.querySelector('[data-element-id]'), null);
+        assert.equal(overlay.querySelector('.bionic-block-controls'), null);
+        await wait(100);
+
+        const content = overlay.querySelector('.bionic-focus-content');
+        assert.equal(bionicText(content.querySelector('p')), '**Rea**ding **lin**ked **wo**rds');
+        assert.equal(block.innerHTML, before);
+        assert.equal(content.style.maxWidth, '70ch');
+
+        window.BionicReading.configure({ FOCUS_COLUMN_WIDTH: 90, FOCUS_FONT_SIZE: 24 });
+        assert.equal(content.style.maxWidth, '90ch');
+        assert.equal(content.style.fontSize, '24px');
+
+        overlay.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+        assert.equal(document.getElementById('bionic-reading-focus'), null);
+    });
+
+    test('moves the focus ruler one line per arrow key', async () => {
+        window = loadExtension(page('<p>Reading text</p>'));
+        await wait(STARTUP_MS);
+        const { document } = window;
+        const block = document.querySelector('[data-element-id="response-block"]');
+        toolbarButton(block, 'Focus').click();
+
+        const overlay = document.getElementById('bionic-reading-focus');
+        const ruler = overlay.querySelector('.bionic-focus-ruler');
+        // jsdom has no layout, so the page reports no height: let the ruler move freely
+        Object.defineProperty(overlay.querySelector('.bionic-focus-page'), 'scrollHeight', { value: 1000 });
+        const press = key => overlay.dispatchEvent(new window.KeyboardEvent('keydown', { key, bubbles: true }));
+
+        press('ArrowDown');
+        press('ArrowDown');
+        assert.equal(ruler.style.top, '68px'); // 2 lines of 20px x 1.7
+        press('ArrowUp');
+        assert.equal(ruler.style.top, '34px');
+
+        overlay.querySelector('button[aria-pressed]').click();
+        assert.equal(ruler.hidden, true);
+    });
+});
+
+test.describe('enable rules', () => {
+    const RULES_KEY = 'typingmind_bionic_reading_rules';
+
+    test('a chat rule turns formatting off in that chat only', async () => {
+        const rules = [{ action: 'disable', chatId: 'chat-1' }];
+        window = loadExtension(page('<p id="p">Reading text</p>'), { url: 'https://www.typingmind.com/#chat=chat-1', storage: { [RULES_KEY]: rules } });
+        await wait(STARTUP_MS);
+        assert.equal(window.document.getElementById('p').querySelector('b'), null);
+        window.close();
+
+        window = loadExtension(page('<p id="p">Reading text</p>'), { url: 'https://www.typingmind.com/#chat=chat-2', storage: { [RULES_KEY]: rules } });
+        await wait(STARTUP_MS);
+        assert.equal(bionicText(window.document.getElementById('p')), '**Rea**ding **te**xt');
+    });
+
+    test('a model rule matches part of the model name, ignoring case', async () => {
+        window = loadExtension(
+            '<span data-element-id="current-model-name">GPT-4o mini</span>' + page('<p id="p">Reading text</p>'),
+            { storage: { [RULES_KEY]: [{ action: 'enable', model: 'claude' }, { action: 'disable', model: 'gpt-4' }] } },
+        );
+        await wait(STARTUP_MS);
+        assert.equal(window.document.getElementById('p').querySelector('b'), null);
+
+        window.BionicReading.revert();
+        window.document.querySelector('[data-element-id="current-model-name"]').textContent = 'Claude Sonnet';
+        window.BionicReading.process(window.document.querySelector('[data-element-id="response-block"]'));
+        await wait(100);
+        assert.equal(bionicText(window.document.getElementById('p')), '**Rea**ding **te**xt');
+    });
+
+    test('a response that streams past minChars is formatted from its start', async () => {
+        window = loadExtension(page('<p id="first">Short opening words</p>'), {
+            storage: { [RULES_KEY]: [{ action: 'enable', minChars: 40 }, { action: 'disable' }] },
+        });
+        await wait(STARTUP_MS);
+        const { document } = window;
+        assert.equal(document.querySelector('b'), null);
+
+        const second = document.createElement('p');
+        second.id = 'second';
+        second.textContent = 'Longer closing paragraph';
+        document.querySelector('[data-element-id="response-block"]').appendChild(second);
+        await wait(STARTUP_MS);
+        assert.equal(bionicText(document.getElementById('first')), '**Sh**ort **ope**ning **wo**rds');
+        assert.equal(bionicText(second), '**Lon**ger **clo**sing **para**graph');
+    });
+
+    test('a new rule from the settings panel changes nothing until edited', async () => {
+        window = loadExtension(page('<p id="p">Reading text</p>'));
+        await wait(STARTUP_MS);
+        const { document } = window;
+        const input = document.getElementById('chat-input-textbox');
+        input.value = '/bionic settings';
+        input.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+        [...document.querySelectorAll('button')].find(button => button.textContent === 'Add rule').click();
+        await wait(100);
+
+        assert.equal(JSON.parse(window.localStorage.getItem(RULES_KEY))[0].action, 'enable');
+        assert.equal(bionicText(document.getElementById('p')), '**Rea**ding **te**xt');
+    });
+});
+
+test.describe('structure rules', () => {
+    const STRUCTURED = page(
+        '<h2 id="heading">Reading notes</h2>'
+        + '<p id="strong">Reading <strong>important</strong> text</p>'
+        + '<p id="split"><strong>extra</strong>ordinary</p>'
+        + '<ul><li id="item">Reading lists</li></ul>'
+        + '<table><tr><th id="th">Heading cell</th></tr><tr><td id="td">Wonderful cells</td></tr></table>'
+        + '<blockquote id="quote">Reading quotes</blockquote>'
+        + '<p id="math">Reading <span class="katex"><span>area equals</span></span></p>'
+        + '<div class="mermaid" id="diagram"><span>Start process</span></div>',
+    );
+    // Each element's last text node waits out the streaming debounce once
+    const SETTLED_MS = STARTUP_MS + 300;
+
+    test('skips headings, bold text, table headers, math and diagrams by default', async () => {
+        window = loadExtension(STRUCTURED);
+        await wait(SETTLED_MS);
+        const text = id => bionicText(window.document.getElementById(id));
+        for (const id of ['heading', 'th', 'diagram']) {
+            assert.equal(window.document.getElementById(id).querySelector('b'), null, id);
+        }
+        assert.equal(text('strong'), '**Rea**ding important **te**xt');
+        // The word keeps its fixation across the bold part, which stays unmarked
+        assert.equal(text('split'), 'extra**o**rdinary');
+        assert.equal(text('math'), '**Rea**ding area equals');
+        assert.equal(text('item'), '**Rea**ding **li**sts');
+        assert.equal(text('td'), '**Wond**erful **ce**lls');
+        assert.equal(text('quote'), '**Rea**ding **quo**tes');
+    });
+
+    test('rules are overridable: stored and from the settings panel', async () => {
+        window = loadExtension(STRUCTURED, {
+            storage: {
+                typingmind_bionic_reading_structure: {
+                    headings: { action: 'format', ratio: 0.6 },
+                    lists: { action: 'skip' },
+                    'table-cells': { mode: 'syllable' },
+                },
+            },
+        });
+        await wait(SETTLED_MS);
+        const { document } = window;
+        const text = id => bionicText(document.getElementById(id));
+        assert.equal(text('heading'), '**Read**ing **not**es');
+        assert.equal(document.getElementById('item').querySelector('b'), null);
+        assert.equal(text('td'), '**Won**derful **ce**lls');
+
+        const input = document.getElementById('chat-input-textbox');
+        input.value = '/bionic settings';
+        input.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+        const row = [...document.querySelectorAll('#bionic-reading-structure .bionic-structure-rule')]
+            .find(candidate => candidate.firstChild.textContent === 'Bold text');
+        const action = row.querySelector('select');
+        action.value = 'format';
+        action.dispatchEvent(new window.Event('change'));
+        await wait(300);
+        assert.equal(text('strong'), '**Rea**ding **impo**rtant **te**xt');
+        assert.equal(text('split'), '**extra****o**rdinary');
+        assert.equal(JSON.parse(window.localStorage.getItem('typingmind_bionic_reading_structure')).strong.action, 'format');
+    });
+});
+
+test.describe('profiles', () => {
+    const SETTINGS_KEY = 'typingmind_bionic_reading_settings';
+    const stored = () => JSON.parse(window.localStorage.getItem(SETTINGS_KEY));
+
+    function runCommand(command) {
+        const input = window.document.getElementById('chat-input-textbox');
+        input.value = command;
+        input.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+    }
+
+    test('migrates the version 1 settings and on/off keys on load', async () => {
+        window = loadExtension(page('<p>Reading text</p>'), { settings: { BOLD_RATIO: 0.6 } });
+        const store = stored();
+        assert.equal(store.version, 2);
+        assert.equal(store.enabled, true);
+        assert.equal(store.activeProfile, 'Default');
+        assert.equal(store.profiles.Default.BOLD_RATIO, 0.6);
+        assert.equal(window.localStorage.getItem('typingmind_bionic_reading_enabled'), null);
+        await wait(STARTUP_MS);
+    });
+
+    test('/bionic profile switches profiles and edits go to the active one', async () => {
+        window = loadExtension(page('<p id="p">Reading wonderful text</p>'), {
+            storage: {
+                [SETTINGS_KEY]: {
+                    version: 2,
+                    enabled: true,
+                    activeProfile: 'Default',
+                    profiles: { Default: { STREAMING_DEBOUNCE_MS: 100 }, Dyslexia: { BOLD_RATIO: 0.6, STREAMING_DEBOUNCE_MS: 100 } },
+                },
+            },
+        });
+        await wait(STARTUP_MS);
+        const p = window.document.getElementById('p');
+        assert.equal(bionicText(p), '**Rea**ding **wond**erful **te**xt');
+
+        runCommand('/bionic profile dyslexia');
+        await wait(100);
+        assert.equal(bionicText(p), '**Read**ing **wonde**rful **te**xt');
+        assert.equal(stored().activeProfile, 'Dyslexia');
+
+        runCommand('/bionic ratio 0.3');
+        assert.equal(stored().profiles.Dyslexia.BOLD_RATIO, 0.3);
+        assert.equal(stored().profiles.Default.BOLD_RATIO, 0.43);
+
+        runCommand('/bionic profile nobody');
+        await wait(50);
+        assert.match(window.document.getElementById('bionic-reading-toast').textContent, /No profile named "nobody"/);
+    });
+
+    test('a profile named like an Object.prototype member is an ordinary profile', async () => {
+        window = loadExtension(page('<p>Reading text</p>'));
+        const file = JSON.stringify({ format: 'typingmind-bionic-reading-profile', version: 2, name: '__proto__', settings: { BOLD_RATIO: 0.3 } });
+        Object.defineProperty(window.navigator, 'clipboard', { value: { readText: async () => file } });
+        await wait(STARTUP_MS);
+        runCommand('/bionic settings');
+
+        [...window.document.querySelectorAll('#bionic-reading-profiles button')].find(el => el.textContent === 'Paste JSON').click();
+        await wait(100);
+        assert.deepEqual(Object.keys(stored().profiles), ['Default', '__proto__']);
+        assert.equal(stored().activeProfile, '__proto__');
+        assert.equal(window.BionicReading.getSettings().BOLD_RATIO, 0.3);
+    });
+
+    test('the public API lists, switches and deletes profiles, refusing unknown names', async () => {
+        window = loadExtension(page('<p>Reading text</p>'), {
+            storage: {
+                [SETTINGS_KEY]: { version: 2, enabled: true, activeProfile: 'Dyslexia', profiles: { Default: {}, Dyslexia: { BOLD_RATIO: 0.6 } } },
+            },
+        });
+        await wait(STARTUP_MS);
+        const api = window.BionicReading;
+        const before = window.localStorage.getItem(SETTINGS_KEY);
+
+        assert.equal(api.deleteProfile('nobody'), false);
+        assert.equal(api.switchProfile('nobody'), false);
+        assert.equal(window.localStorage.getItem(SETTINGS_KEY), before);
+        assert.equal(api.getProfiles().names.join(), 'Default,Dyslexia');
+        assert.equal(api.getProfiles().active, 'Dyslexia');
+
+        assert.equal(api.deleteProfile('dyslexia'), true);
+        assert.equal(api.getProfiles().names.join(), 'Default');
+        assert.equal(api.getProfiles().active, 'Default');
+        assert.equal(api.getSettings().BOLD_RATIO, 0.43);
+        assert.equal(api.deleteProfile('Default'), false);
+    });
+
+    test('imports a profile from the clipboard and saves the current settings as a new one', async () => {
+        window = loadExtension(page('<p>Reading text</p>'));
+        const file = JSON.stringify({ format: 'typingmind-bionic-reading-profile', version: 2, name: 'ADHD', settings: { BOLD_RATIO: 0.3 } });
+        Object.defineProperty(window.navigator, 'clipboard', { value: { readText: async () => file } });
+        await wait(STARTUP_MS);
+        runCommand('/bionic settings');
+
+        const { document } = window;
+        const button = label => [...document.querySelectorAll('#bionic-reading-profiles button')].find(el => el.textContent === label);
+        button('Paste JSON').click();
+        await wait(100);
+        assert.equal(stored().activeProfile, 'ADHD');
+        assert.equal(stored().profiles.ADHD.BOLD_RATIO, 0.3);
+        assert.equal(document.querySelector('#bionic-reading-profiles select').value, 'ADHD');
+        assert.equal(document.querySelector('input[name="BOLD_RATIO"]').value, '0.3');
+
+        document.querySelector('#bionic-reading-profiles input[type="text"]').value = 'ADHD copy';
+        button('Save as profile').click();
+        assert.deepEqual(Object.keys(stored().profiles), ['Default', 'ADHD', 'ADHD copy']);
+        assert.equal(stored().activeProfile, 'ADHD copy');
+
+        button('Delete').click();
+        assert.deepEqual(Object.keys(stored().profiles), ['Default', 'ADHD']);
+        assert.equal(stored().activeProfile, 'Default');
+        await wait(100);
+    });
+});
+
+test.describe('selector health', () => {
+    function runCommand(command) {
+        const input = window.document.getElementById('chat-input-textbox');
+        input.value = command;
+        input.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+    }
+
+    test('formats responses found by a fallback selector', async () => {
+        window = loadExtension('<div data-message-role="assistant"><p id="p">Reading text</p></div><textarea id="chat-input-textbox"></textarea>');
+        await wait(STARTUP_MS);
+        assert.equal(bionicText(window.document.getElementById('p')), '**Rea**ding **te**xt');
+    });
+
+    test('/bionic diagnose lists the selectors that matched and what was processed', async () => {
+        window = loadExtension('<div data-message-role="assistant"><p>Reading text</p></div><textarea id="chat-input-textbox"></textarea>');
+        await wait(STARTUP_MS);
+        runCommand('/bionic diagnose');
+
+        const card = window.document.getElementById('bionic-reading-help');
+        const rows = {};
+        const terms = card.querySelectorAll('dt');
+        terms.forEach(term => { rows[term.textContent] = term.nextElementSibling.textContent; });
+        assert.equal(rows['Response blocks'], '⚠ Fallback #2: [data-message-role="assistant"] · 1 on the page');
+        assert.equal(rows['Chat input'], '✓ #chat-input-textbox · 1 on the page');
+        assert.equal(rows['Streaming cursor'], '– Not on the page yet');
+        assert.equal(rows['Blocks'], '1 on the page · 1 formatted · 1 observed');
+        assert.match(rows['Text nodes'], /^1 formatted · 0 queued/);
+        assert.match(rows['Streaming'], /^Debounce: .* after 100ms/);
+        assert.equal(window.document.getElementById('chat-input-textbox').value, '');
+    });
+
+    test('warns after startup when an element every page has is missing', async () => {
+        window = loadExtension(page('<p>Reading text</p>').replace('id="chat-input-textbox"', 'id="renamed-input"'));
+        await wait(3100);
+        const toast = window.document.getElementById('bionic-reading-toast');
+        assert.ok(toast, 'a toast reports the missing element');
+        assert.match(toast.textContent, /can't find: Chat input\./);
+    });
+});
+
+test.describe('reading progress', () => {
+    const PROGRESS_KEY = 'typingmind_bionic_reading_progress';
+    const CHAT_URL = 'https://www.typingmind.com/#chat=chat-1';
+    const CHAT = '<div data-element-id="response-block" id="first"><p>First answer text</p></div>'
+        + '<div data-element-id="response-block" id="second"><p>Second answer text</p></div>'
+        + '<textarea id="chat-input-textbox"></textarea>';
+
+    // jsdom has no layout: place a block relative to the 768px tall viewport
+    function place(id, top, height) {
+        window.document.getElementById(id).getBoundingClientRect = () => ({ top, bottom: top + height, height });
+    }
+
+    async function scroll() {
+        window.document.dispatchEvent(new window.Event('scroll'));
+        await wait(50);
+    }
+
+    const stored = () => JSON.parse(window.localStorage.getItem(PROGRESS_KEY));
+    const label = id => window.document.getElementById(id).previousElementSibling.querySelector('.bionic-reading-time');
+
+    test('marks responses scrolled through as read and records the reading position', async () => {
+        window = loadExtension(CHAT, { url: CHAT_URL });
+        await wait(STARTUP_MS);
+        place('first', -300, 1000);
+        place('second', 900, 200);
+        await scroll();
+
+        assert.equal(label('first').textContent, '✓ 1 min read');
+        assert.equal(label('second').textContent, '1 min read');
+        const rail = window.document.getElementById('first').previousElementSibling.querySelector('.bionic-progress');
+        assert.ok(rail.classList.contains('bionic-progress-read'));
+        assert.equal(rail.style.height, '1000px');
+        assert.equal(rail.firstChild.style.height, '100%');
+        assert.equal(window.document.querySelector('[data-element-id="response-block"] .bionic-progress'), null, 'the rail stays out of the response');
+        assert.equal(window.document.getElementById('second').previousElementSibling.querySelector('.bionic-progress'), null, 'short responses get no rail');
+
+        window.dispatchEvent(new window.Event('beforeunload'));
+        const chat = stored()['chat-1'];
+        assert.equal(chat.read.length, 1);
+        assert.deepEqual(chat.position, { key: chat.read[0], offset: 0.3 });
+    });
+
+    test('offers to jump back to the saved position when the chat is reopened', async () => {
+        window = loadExtension(CHAT, { url: CHAT_URL });
+        await wait(STARTUP_MS);
+        place('first', 500, 200);
+        place('second', 750, 1000);
+        await scroll();
+        window.dispatchEvent(new window.Event('beforeunload'));
+        const progress = stored();
+        window.close();
+
+        window = loadExtension(CHAT, { url: CHAT_URL, storage: { [PROGRESS_KEY]: progress } });
+        let scrolledTo = null;
+        window.HTMLElement.prototype.scrollIntoView = function () { scrolledTo = this.id; };
+        await wait(STARTUP_MS);
+        place('first', -2000, 200);
+        place('second', -1800, 1000);
+        await scroll();
+        assert.deepEqual(stored(), progress, 'the saved position is kept until the prompt is shown');
+
+        await wait(1000);
+        const prompt = window.document.getElementById('bionic-reading-resume');
+        assert.ok(prompt, 'the resume prompt is shown');
+        prompt.querySelector('button').click();
+        assert.equal(scrolledTo, 'first');
+        assert.equal(window.document.getElementById('bionic-reading-resume'), null);
+    });
+
+    test('clears progress from the settings panel', async () => {
+        window = loadExtension(CHAT, {
+            url: CHAT_URL,
+            storage: { [PROGRESS_KEY]: { 'chat-1': { read: ['a'], position: null, updated: 1 }, 'chat-2': { read: ['b'], position: null, updated: 2 } } },
+        });
+        await wait(STARTUP_MS);
+        const input = window.document.getElementById('chat-input-textbox');
+        input.value = '/bionic settings';
+        input.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+
+        const button = text => [...window.document.querySelectorAll('#bionic-reading-progress button')].find(el => el.textContent === text);
+        button('Clear this chat').click();
+        assert.deepEqual(Object.keys(stored()), ['chat-2']);
+        assert.equal(button('Clear this chat').disabled, true);
+
+        button('Clear all chats').click();
+        assert.deepEqual(stored(), {});
+        await wait(100);
+    });
+});
+
+test.describe('read aloud', () => {
+    // Records what would be spoken; the test plays the engine's boundary and end events
+    function stubBackend() {
+        const calls = [];
+        return {
+            calls,
+            speak: (text, options) => calls.push({ text, ...options }),
+            pause: () => calls.push('pause'),
+            resume: () => calls.push('resume'),
+            cancel: () => calls.push('cancel'),
+        };
+    }
+
+    const spokenWord = () => [...window.CSS.highlights.get('bionic-speech')][0].toString();
+
+    test('reads a response without its code and highlights words across the bionic markup', async () => {
+        window = loadExtension(page('<p>Reading <em>wonderful</em> text</p><pre><code>const x = 1;</code></pre><p>Done here</p>'), { highlights: true });
+        const backend = stubBackend();
+        window.BionicReading.setSpeechBackend(backend);
+        await wait(STARTUP_MS);
+        const { document } = window;
+
+        document.querySelector('.bionic-block-controls button[title="Read this response aloud"]').click();
+        const [first] = backend.calls.filter(call => call.text);
+        assert.equal(first.text, 'Reading wonderful text\nDone here');
+        assert.equal(first.rate, 1);
+
+        // No charLength: the word runs to the next space, through <b>Rea</b>ding
+        first.onBoundary(0, 0);
+        const range = [...window.CSS.highlights.get('bionic-speech')][0];
+        assert.equal(range.toString(), 'Reading');
+        assert.notEqual(range.startContainer, range.endContainer);
+        first.onBoundary(8, 9);
+        assert.equal(spokenWord(), 'wonderful');
+
+        // A new speed restarts the utterance at the current word
+        document.querySelector('#bionic-reading-speech button[aria-label="Faster"]').click();
+        const second = backend.calls.filter(call => call.text)[1];
+        assert.equal(second.text, 'wonderful text\nDone here');
+        assert.equal(second.rate, 1.25);
+        assert.equal(document.querySelector('#bionic-reading-speech .bionic-speech-rate').textContent, '1.25×');
+        second.onBoundary(15, 4);
+        first.onBoundary(0, 7);
+        assert.equal(spokenWord(), 'Done');
+
+        const pauseButton = document.querySelector('#bionic-reading-speech .bionic-speech-pause');
+        pauseButton.click();
+        assert.equal(backend.calls.at(-1), 'pause');
+        assert.equal(pauseButton.textContent, '▶ Play');
+
+        // A new speed while paused stays paused, then restarts at the current word on Play
+        document.querySelector('#bionic-reading-speech button[aria-label="Slower"]').click();
+        assert.equal(backend.calls.at(-1), 'pause');
+        assert.equal(pauseButton.textContent, '▶ Play');
+        pauseButton.click();
+        const third = backend.calls.at(-1);
+        assert.equal(backend.calls.at(-2), 'resume');
+        assert.equal(third.text, 'Done here');
+        assert.equal(third.rate, 1);
+        assert.notEqual(pauseButton.textContent, '▶ Play');
+
+        second.onEnd();
+        assert.ok(document.getElementById('bionic-reading-speech'), 'the replaced utterance ending changes nothing');
+        third.onEnd();
+        assert.equal(document.getElementById('bionic-reading-speech'), null);
+        assert.equal(window.CSS.highlights.has('bionic-speech'), false);
+    });
+
+    test('validates speech backends and has nothing to say about an empty response', async () => {
+        window = loadExtension(page('<pre><code>only code</code></pre>'), { highlights: true });
+        const { BionicReading, document } = window;
+        assert.throws(() => BionicReading.setSpeechBackend({ speak() {} }), window.TypeError);
+        const backend = stubBackend();
+        BionicReading.setSpeechBackend(backend);
+        await wait(STARTUP_MS);
+
+        assert.equal(BionicReading.readAloud(document.querySelector('[data-element-id="response-block"]')), false);
+        assert.deepEqual(backend.calls, []);
+        await wait(50);
+        assert.match(document.getElementById('bionic-reading-toast').textContent, /Nothing to read aloud/);
+    });
+});
+
+test.describe('keyboard shortcuts', () => {
+    const press = (code, modifiers) => window.document.body.dispatchEvent(new window.KeyboardEvent('keydown', { code, bubbles: true, ...modifiers }));
+
+    test('toggles with the default Alt+Shift+B, which no browser shortcut uses', async () => {
+        window = loadExtension(page('<p id="p">Reading text</p>'));
+        await wait(STARTUP_MS);
+        press('KeyB', { ctrlKey: true, shiftKey: true });
+        assert.equal(window.BionicReading.isEnabled(), true);
+        press('KeyB', { altKey: true, shiftKey: true });
+        assert.equal(window.BionicReading.isEnabled(), false);
+        await wait(50);
+    });
+
+    test('punctuation keys are stored by key code and fire', async () => {
+        window = loadExtension(page('<p>Reading text</p>'), {
+            storage: { typingmind_bionic_reading_shortcuts: { 'ratio-up': { keys: 'alt+/' }, 'ratio-down': { keys: 'Alt+Period' }, 'next-mode': { keys: 'Alt+?' } } },
+        });
+        await wait(STARTUP_MS);
+        press('Slash', { altKey: true });
+        assert.equal(window.BionicReading.getSettings().BOLD_RATIO, 0.48);
+        press('Period', { altKey: true });
+        press('Period', { altKey: true });
+        assert.equal(window.BionicReading.getSettings().BOLD_RATIO, 0.38);
+
+        // A character without a key code keeps the default binding
+        press('KeyM', { altKey: true, shiftKey: true });
+        assert.equal(window.BionicReading.getSettings().FIXATION_MODE, 'syllable');
+        await wait(50);
+    });
+});
+
+test.describe('export', () => {
+    // Keeps the downloads instead of navigating to them
+    function captureDownloads() {
+        const files = [];
+        window.URL.createObjectURL = (blob) => {
+            files.push({ blob });
+            return 'blob:export';
+        };
+        window.URL.revokeObjectURL = () => {};
+        window.HTMLAnchorElement.prototype.click = function () {
+            files.at(-1).name = this.download;
+        };
+        return files;
+    }
+
+    function read(blob, as = 'readAsText') {
+        return new Promise((resolve) => {
+            const reader = new window.FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader[as](blob);
+        });
+    }
+
+    async function exportAs(format) {
+        const input = window.document.getElementById('chat-input-textbox');
+        input.value = `/bionic export ${format}`;
+        input.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+        await wait(50);
+    }
+
+    test('writes Markdown with escaped text and inline code fences that fit the code', async () => {
+        window = loadExtension(
+            page('<p>Use <code>a`b</code>, <code>``x</code> and <code>ok</code> for *stars*</p>'),
+            { url: 'https://www.typingmind.com/#chat=My Chat/../x' },
+        );
+        const files = captureDownloads();
+        await wait(STARTUP_MS);
+        await exportAs('markdown');
+
+        assert.match(files[0].name, /^bionic-my-chat-x-\d{4}-\d{2}-\d{2}\.md$/);
+        const markdown = await read(files[0].blob);
+        assert.ok(markdown.includes('``a`b``'), markdown);
+        assert.ok(markdown.includes('``` ``x ```'), markdown);
+        assert.ok(markdown.includes('`ok`'), markdown);
+        assert.ok(markdown.includes('\\*'), 'asterisks in the text are escaped');
+        assert.ok(markdown.startsWith('# TypingMind chat\n\n**U**se'), markdown);
+    });
+
+    test('leaves TypingMind controls out of the HTML but keeps diagrams', async () => {
+        window = loadExtension(page(
+            '<p>Reading text</p>'
+            + '<div data-element-id="message-actions"><button>Copy</button><svg class="icon"></svg></div>'
+            + '<div class="mermaid"><svg id="diagram"></svg></div>',
+        ));
+        const files = captureDownloads();
+        await wait(STARTUP_MS);
+        await exportAs('html');
+
+        const html = await read(files[0].blob);
+        assert.ok(html.includes('<b>Rea</b>ding'), html);
+        assert.ok(!html.includes('Copy') && !html.includes('message-actions') && !html.includes('class="icon"'), html);
+        assert.ok(html.includes('id="diagram"'));
+    });
+
+    test('packs the EPUB as a valid stored ZIP with the mimetype first', async () => {
+        window = loadExtension(page('<p>Reading text</p>'));
+        const files = captureDownloads();
+        await wait(STARTUP_MS);
+        await exportAs('epub');
+
+        const bytes = Buffer.from(await read(files[0].blob, 'readAsArrayBuffer'));
+        const end = bytes.length - 22;
+        assert.equal(bytes.readUInt32LE(end), 0x06054B50, 'end of central directory');
+        const count = bytes.readUInt16LE(end + 10);
+        let entry = bytes.readUInt32LE(end + 16);
+        const entries = {};
+        for (let i = 0; i < count; i++) {
+            assert.equal(bytes.readUInt32LE(entry), 0x02014B50, 'central directory entry');
+            const crc = bytes.readUInt32LE(entry + 16);
+            const size = bytes.readUInt32LE(entry + 20);
+            const nameLength = bytes.readUInt16LE(entry + 28);
+            const name = bytes.toString('utf8', entry + 46, entry + 46 + nameLength);
+            const local = bytes.readUInt32LE(entry + 42);
+
+            assert.equal(bytes.readUInt32LE(local), 0x04034B50, `local header of ${name}`);
+            assert.equal(bytes.readUInt16LE(local + 8), 0, `${name} is stored`);
+            assert.equal(bytes.toString('utf8', local + 30, local + 30 + nameLength), name);
+            const data = bytes.subarray(local + 30 + nameLength, local + 30 + nameLength + size);
+            assert.equal(zlib.crc32(data), crc, `crc32 of ${name}`);
+            entries[name] = data.toString('utf8');
+            entry += 46 + nameLength;
+        }
+
+        assert.deepEqual(Object.keys(entries), [
+            'mimetype', 'META-INF/container.xml', 'OEBPS/content.opf', 'OEBPS/nav.xhtml', 'OEBPS/style.css', 'OEBPS/chat.xhtml',
+        ]);
+        assert.equal(entries.mimetype, 'application/epub+zip');
+        assert.equal(bytes.toString('utf8', 30, 38), 'mimetype', 'the mimetype is the first file');
+        assert.ok(entries['OEBPS/chat.xhtml'].includes('<b>Rea</b>ding'));
+    });
+});
+
+test.describe('chat commands', () => {
+    test('reports unknown subcommands instead of sending them', async () => {
+        window = loadExtension(page('<p>Reading text</p>'));
+        await wait(STARTUP_MS);
+        const { document } = window;
+        const input = document.getElementById('chat-input-textbox');
+
+        for (const name of ['nonsense', 'constructor', '__proto__', 'toString']) {
+            input.value = `/bionic ${name}`;
+            const event = new window.KeyboardEvent('keydown', { key: 'Enter', bubbles: true, cancelable: true });
+            input.dispatchEvent(event);
+            assert.equal(event.defaultPrevented, true, name);
+            assert.equal(input.value, '', name);
+            await wait(50);
+            assert.equal(document.getElementById('bionic-reading-toast').textContent, `📖 Unknown command "${name.toLowerCase()}". Type /bionic help for the list`);
+        }
+    });
+});
+
+test.describe('toggle', () => {
+    test('revert puts back the original text node objects', async () => {
+        window = loadExtension(page('<p id="p">Reading <a href="#">linked</a> text</p>'));
+        const p = window.document.getElementById('p');
+        const originals = [p.firstChild, p.querySelector('a').firstChild, p.lastChild];
+        await wait(STARTUP_MS);
+        assert.ok(p.querySelector('b'));
+
+        window.BionicReading.disable();
+        assert.equal(p.querySelector('b'), null);
+        assert.equal(p.firstChild, originals[0]);
+        assert.equal(p.querySelector('a').firstChild, originals[1]);
+        assert.equal(p.lastChild, originals[2]);
+        assert.equal(p.innerHTML, 'Reading <a href="#">linked</a> text');
+
+        window.BionicReading.enable();
+        await wait(STARTUP_MS);
+        assert.ok(p.querySelector('b'));
+    });
+
+    test('stays off when stored as disabled', async () => {
+        window = loadExtension(page('<p id="p">Reading text</p>'), { enabled: false });
+        await wait(STARTUP_MS);
+        assert.equal(window.document.querySelector('.bionic-text-wrapper'), null);
+        assert.equal(window.BionicReading.isEnabled(), false);
+    });
+});
+
+test.describe('highlight mode', () => {
+    test('paints ranges without touching the DOM', async () => {
+        window = loadExtension(page('<p id="p">Reading wonderful text</p>'), {
+            highlights: true,
+            settings: { RENDER_MODE: 'highlight' },
+        });
+        await wait(STARTUP_MS);
+        const p = window.document.getElementById('p');
+        assert.equal(p.innerHTML, 'Reading wonderful text');
+        const ranges = [...window.CSS.highlights.get('bionic')];
+        assert.deepEqual(ranges.map(range => range.toString()), ['Rea', 'wond', 'te']);
+
+        window.BionicReading.disable();
+        assert.equal(window.CSS.highlights.get('bionic').size, 0);
+    });
+});
+
+test.describe('public API', () => {
+    test('dispatches events and transforms text', async () => {
+        window = loadExtension(page('<p>Reading text</p>'));
+        const events = [];
+        for (const name of ['bionic:processed', 'bionic:enabled', 'bionic:disabled']) {
+            window.document.addEventListener(name, () => events.push(name));
+        }
+        await wait(STARTUP_MS);
+        window.BionicReading.disable();
+        window.BionicReading.enable();
+        await wait(STARTUP_MS);
+        assert.deepEqual(events.slice(0, 3), ['bionic:processed', 'bionic:disabled', 'bionic:enabled']);
+        // Objects come from the jsdom realm: compare them as plain data
+        assert.deepEqual(JSON.parse(JSON.stringify(window.BionicReading.transform('Reading'))), [
+            { text: 'Rea', bold: true },
+            { text: 'ding', bold: false },
+        ]);
+    });
+
+    test('rejects non-elements', () => {
+        window = loadExtension('');
+        assert.throws(() => window.BionicReading.process('p'), window.TypeError);
+    });
+});
@@ -0,0 +1,94 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '../../extension/bionic-reading.js'), 'utf8');
+
+// init() waits 500ms before the first scan; give it a frame on top of that
+const STARTUP_MS = 600;
+
+/**
+ * Loads the extension into a jsdom page the way TypingMind loads it: as a
+ * plain script evaluated in the window.
+ *
+ * @param {string} body - HTML for <body>
+ * @param {Object} [options]
+ * @param {Object} [options.settings] - Stored settings (merged over test defaults)
+ * @param {boolean} [options.enabled=true] - Stored on/off state
+ * @param {boolean} [options.highlights=false] - Provide a CSS.highlights stub
+ * @param {Object} [options.storage] - Other localStorage entries (key -> JSON value)
+ * @param {string} [options.url] - Page URL, e.g. with a `#chat=` hash
+ */
+function loadExtension(body, { settings = {}, enabled = true, highlights = false, storage = {}, url = 'https://www.typingmind.com/' } = {}) {
+    const dom = new JSDOM(`<!DOCTYPE html><html><head></head><body>${body}</body></html>`, {
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        url,
+    });
+    const { window } = dom;
+
+    window.localStorage.setItem('typingmind_bionic_reading_enabled', String(enabled));
+    window.localStorage.setItem('typingmind_bionic_reading_settings', JSON.stringify({
+        SHOW_SETTINGS_BUTTON: false,
+        STREAMING_DEBOUNCE_MS: 100,
+        ...settings,
+    }));
+    for (const [key, value] of Object.entries(storage)) {
+        window.localStorage.setItem(key, JSON.stringify(value));
+    }
+
+    // jsdom has no layout: every observed block starts visible, setVisible() moves it
+    const observers = new Set();
+    window.IntersectionObserver = class {
+        constructor(callback) {
+            this.callback = callback;
+            this.targets = new Set();
+            observers.add(this);
+        }
+        observe(target) {
+            this.targets.add(target);
+            setTimeout(() => this.targets.has(target) && this.callback([{ isIntersecting: true, target }]), 0);
+        }
+        unobserve(target) { this.targets.delete(target); }
+        disconnect() {
+            this.targets.clear();
+            observers.delete(this);
+        }
+    };
+    window.setVisible = (target, isIntersecting) => {
+        for (const observer of observers) {
+            if (observer.targets.has(target)) observer.callback([{ isIntersecting, target }]);
+        }
+    };
+    window.observedTargets = () => [...observers].reduce((count, observer) => count + observer.targets.size, 0);
+    window.TextEncoder = TextEncoder;
+
+    if (highlights) {
+        window.CSS = { highlights: new Map() };
+        window.Highlight = class extends Set {};
+    }
+
+    window.eval(SOURCE);
+    return window;
+}
+
+/**
+ * Renders the formatted text of an element as "**Bo**ld", ignoring the
+ * screen reader twins
+ */
+function bionicText(element) {
+    let out = '';
+    for (const node of element.childNodes) {
+        if (node.nodeType === 3) out += node.nodeValue;
+        else if (node.classList.contains('bionic-sr-only')) continue;
+        else if (node.tagName === 'B') out += `**${node.textContent}**`;
+        else out += bionicText(node);
+    }
+    return out;
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = { loadExtension, bionicText, wait, STARTUP_MS };